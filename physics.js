@@ -7,32 +7,122 @@ var Physics = (function(){
   // - course: current direction of movement
   // - bearing: current direction the top of the item is facing
 
-  var config = {
+  // default settings, every engine gets its own copy (see Physics#setConfig)
+  var defaults = {
     stepCollisions: false,
     maxSpeed: 40,
-    record_shots: false,
     drawCourse: false,
     drawCollisionAngles: false,
     drawCurveCourse: false,
     drawPositionDots: false,
     stopSpeed: 0.01,
+    stopSpin: 0.001, // rotation (radians per tick) below which an item stops spinning
     curveAmplifier: 1,
+    collisionResponse: 'legacy', // 'legacy' or 'impulse', see updateForCollision
+    broadphase: true, // only test pairs that are near each other, see SpatialHash
+    benchmark: false, // count pair tests in physics.stats and emit a benchmark event every tick
+    resolveOverlaps: true, // push overlapping items apart after every step, see resolveOverlaps
+    overlapIterations: 4, // passes of resolveOverlaps per step
+    overlapSlop: 0.01, // overlaps smaller than this are left alone (rounding)
+    strictOverlaps: false, // false, 'event' to emit an overlap event or 'error' to throw when items overlap
+    timestep: 0, // ms per step when tick is given the elapsed time, 0 for one step per tick. see tick
+    maxSteps: 5, // most steps per tick when using timestep, so a slow device does not fall further and further behind
+    maxEvents: 100, // most collisions resolved in one step, the rest of the step is moved without collisions. see step
+    deterministic: false, // round the state of every item to config.precision after every step and push, for lockstep multiplayer. see quantize
+    precision: 1/65536, // step size of that rounding
   };
 
+  // to read the bits of a number, see hashNumber
+  var hashFloat = new Float64Array(1);
+  var hashWords = new Uint32Array(hashFloat.buffer);
+
   /**
    * A physics engine for circles that move and collide on a 2d plane.
+   * Every engine is a world of its own, two engines never share items or settings.
    *
    * @constructor
+   * @param {Object} [options] Settings overriding the defaults (see setConfig), bounds and renderer may be passed on as well (see setBounds and setRenderer)
    */
-  function Physics(){
+  function Physics(options){
+    this.items = [];
+    this.zones = [];
+    this.surfaces = [];
+    this.forceFields = [];
+    this.obstacles = [];
+    this.joints = [];
+    this.listeners = {};
+    this.config = {};
+    for (var key in defaults) this.config[key] = defaults[key];
 
+    if (options) {
+      for (key in options) {
+        if (key === 'bounds') this.setBounds(options.bounds);
+        else if (key === 'renderer') this.setRenderer(options.renderer);
+        else this.setConfig(key, options[key]);
+      }
+    }
   }
 
   Physics.prototype = {
     /**
      * @property {Item[]} items List of items that make up the world view
      */
-    items: [],
+    items: null,
+
+    /**
+     * @property {Object} config Settings of this engine. Use getConfig and setConfig to access it.
+     */
+    config: null,
+
+    /**
+     * @property {Object} renderer Debug renderer that draws the config.draw* options. See setRenderer.
+     */
+    renderer: null,
+
+    /**
+     * @property {Function} pairRestitution See setPairRestitution
+     */
+    pairRestitution: null,
+
+    /**
+     * @property {Function} collisionFilter See setCollisionFilter
+     */
+    collisionFilter: null,
+
+    /**
+     * @property {Object} listeners Event name to list of handlers. See on.
+     */
+    listeners: null,
+
+    /**
+     * @property {boolean} atRest Was nothing moving after the last tick? Used to fire worldAtRest only once.
+     */
+    atRest: true,
+
+    /**
+     * @property {number} ticks Number of steps processed so far. Shots are recorded and replayed by this number.
+     */
+    ticks: 0,
+
+    /**
+     * @property {number} accumulator Time (ms) not yet processed by a step, when using config.timestep
+     */
+    accumulator: 0,
+
+    /**
+     * @property {number} alpha How far (0 ~ 1) the current time is between the previous and the last step. See getInterpolatedPos.
+     */
+    alpha: 1,
+
+    /**
+     * @property {SpatialHash} grid Broadphase of the current collision step, null when disabled
+     */
+    grid: null,
+
+    /**
+     * @property {Object} stats Numbers of the last tick, only counted in config.benchmark mode. {pairTests:number}
+     */
+    stats: null,
 
     /**
      * @property {boolean} lastFinished Used for config.stepCollisions, when false, it wont reset the items. It'll be false if the mode is enabled and there was a collision.
@@ -40,13 +130,155 @@ var Physics = (function(){
     lastFinished: true,
 
     /**
-     * Add given item to the list of items
+     * @property {number} stepTime How far (0 ~ 1) the current step got, collisions before that time are resolved
+     */
+    stepTime: 0,
+
+    /**
+     * @property {Object} contacts Pairs of items (by uids) that collided at stepTime, the legacy response does not resolve them twice at the same moment
+     */
+    contacts: null,
+
+    /**
+     * @property {Object} legacyStart Centers of items (by uid) at the start of the step or their last collision in it, for the legacy response
+     */
+    legacyStart: null,
+
+    /**
+     * @property {Object} lastTick Result of the last tick. {moving:boolean, steps:number, events:number, capped:boolean}, see tick
+     */
+    lastTick: null,
+
+    /**
+     * @property {Zone[]} zones Sensor zones of the board, see addZone
+     */
+    zones: null,
+
+    /**
+     * @property {Surface[]} surfaces Regions of the board with a different friction, see addSurface
+     */
+    surfaces: null,
+
+    /**
+     * @property {ForceField[]} forceFields Forces that push items around, see addForceField
+     */
+    forceFields: null,
+
+    /**
+     * @property {Obstacle[]} obstacles Lines and polygons items bounce off, see addObstacle
+     */
+    obstacles: null,
+
+    /**
+     * @property {Joint[]} joints Ropes, rods and springs between items, see addJoint
+     */
+    joints: null,
+
+    /**
+     * @property {Object} tickStart Center of every item (by uid) at the start of the current tick, to see which zones it crossed
+     */
+    tickStart: null,
+
+    /**
+     * @property {Object} bounds Walls of the board, or null for an open world. See setBounds.
+     */
+    bounds: null,
+
+    /**
+     * Listen to an event of this engine. Handlers receive one event object.
+     * Events:
+     * - collision {a, b, x, y, angle, speed}: item a hit item b at point x,y. angle is
+     *   the relative angle of the hit (-1 ~ 1) and speed is the speed b got from a.
+     * - wallCollision {item, x, y, nx, ny}: item hit a wall at point x,y, n is the normal of the wall.
+     * - obstacleCollision {item, obstacle, x, y, nx, ny}: item hit an obstacle at point x,y, n is the normal of the obstacle there.
+     * - itemStopped {item}: item dropped below config.stopSpeed, or a collision, setPath(null) or a zone stopped it
+     * - worldAtRest {}: the last moving item stopped
+     * - push {item, course, speed, curve, spin}
+     * - steer {item, method, x, y}: applyForce, applyImpulse or setVelocity (the method) was called with x and y
+     * - itemAdded {item}
+     * - itemRemoved {item}
+     * - benchmark {tick, items, pairTests, events}: only in config.benchmark mode
+     * - zoneEnter {zone, item}: the item entered a sensor zone (see addZone)
+     * - zoneLeave {zone, item}: the item left a sensor zone
+     * - zoneSettle {zone, item}: the item came to rest inside a sensor zone
+     * - zoneCapture {zone, item}: the zone removed or froze the item
+     * - overlap {a, b, depth}: two items overlap, only with config.strictOverlaps 'event'
+     * - jointBroken {joint, a, b, distance}: the joint between a and b (null for an anchor) was stretched to distance and broke
+     *
+     * @param {string} name
+     * @param {Function} handler
+     */
+    on: function(name, handler){
+      if (!this.listeners[name]) this.listeners[name] = [];
+      this.listeners[name].push(handler);
+    },
+    /**
+     * Stop listening to an event. Without handler, all handlers of the event are removed.
+     *
+     * @param {string} name
+     * @param {Function} [handler]
+     */
+    off: function(name, handler){
+      var list = this.listeners[name];
+      if (!list) return;
+
+      if (!handler) {
+        delete this.listeners[name];
+      } else {
+        // handlers added by once are wrapped, they can be removed by their original too
+        for (var i=list.length-1; i>=0; --i) {
+          if (list[i] === handler || list[i].original === handler) list.splice(i, 1);
+        }
+      }
+    },
+    /**
+     * Listen to an event only once.
+     *
+     * @param {string} name
+     * @param {Function} handler
+     */
+    once: function(name, handler){
+      var physics = this;
+      var wrapper = function(event){
+        physics.off(name, wrapper);
+        handler.call(this, event);
+      };
+      wrapper.original = handler;
+      this.on(name, wrapper);
+    },
+    /**
+     * Call all handlers of given event.
+     *
+     * @param {string} name
+     * @param {Object} [event]
+     */
+    emit: function(name, event){
+      var list = this.listeners[name];
+      if (!list) return;
+
+      if (!event) event = {};
+      event.type = name;
+      // copy the list, handlers may remove themselves
+      list.slice(0).forEach(function(handler){
+        handler.call(this, event);
+      },this);
+    },
+
+    /**
+     * Add given item to the list of items. Items are told apart by uid, so an
+     * item with the uid of an item in the list is not added either.
      *
      * @param {Item} item
      */
     addItem: function(item){
-      if (this.items.indexOf(item) >= 0) console.warn('Item already found!', item);
-      else this.items.push(item);
+      if (this.items.indexOf(item) >= 0) {
+        console.warn('Item already found!', item);
+      } else if (this.items.some(function(other){ return other.uid === item.uid; })) {
+        console.warn('Item with the same uid already found!', item);
+      } else {
+        this.items.push(item);
+        this.emit('itemAdded', {item: item});
+      }
     },
     /**
      * Remove given item from the list of items
@@ -55,8 +287,18 @@ var Physics = (function(){
      */
     removeItem: function(item){
       var pos = this.items.indexOf(item);
-      if (pos < 0) console.warn("Tried to remove an item that was not found", item);
-      else this.items.splice(pos, 1);
+      if (pos < 0) {
+        console.warn("Tried to remove an item that was not found", item);
+      } else {
+        this.items.splice(pos, 1);
+        this.zones.forEach(function(zone){
+          zone.forget(item);
+        });
+        this.joints = this.joints.filter(function(joint){
+          return joint.a !== item && joint.b !== item;
+        });
+        this.emit('itemRemoved', {item: item});
+      }
     },
     /**
      * Replace the items in the current world view with given items
@@ -67,731 +309,4572 @@ var Physics = (function(){
       this.items.length = 0;
       this.items = arr;
     },
-
     /**
-     * Process all items for one time step
+     * Capture the state of the world, so it can be restored later. The result
+     * can be stored as JSON. It covers the items, bounds and settings only, and
+     * the time left over for the next step (see tick), so interpolation goes on where it was.
+     * Zones, joints, force fields, obstacles and surfaces are not part of it and
+     * are left as they are by restore (unlike copy, which does take them along).
+     * Display objects are not part of it either, see restore.
      *
-     * @return {boolean} Is there any stone still moving?
+     * @return {Object}
+     */
+    snapshot: function(){
+      return {
+        version: 1,
+        ticks: this.ticks,
+        atRest: this.atRest,
+        lastFinished: this.lastFinished,
+        stepTime: this.stepTime,
+        accumulator: this.accumulator,
+        alpha: this.alpha,
+        bounds: this.bounds ? JSON.parse(JSON.stringify(this.bounds)) : null,
+        config: this.getConfig(),
+        items: this.items.map(function(item){ return item.toJSON(); })
+      };
+    },
+    /**
+     * Restore the world to the state of an earlier snapshot. The world continues
+     * exactly as the original would have. Items of this engine that are part of the
+     * snapshot (same uid) are reused, others are created with Item.fromJSON. Items
+     * that are not part of the snapshot are removed with removeItem.
+     * Items are not moved visually, the caller should still update their display objects.
+     *
+     * @param {Object} state As returned by snapshot
+     * @param {Function} [rebind] Called as rebind(data, item) for every restored item, return a display object to set item.bs to
      */
-    tick: function(e){
-      if (!config.stepCollisions || this.lastFinished) this.resetItems();
+    restore: function(state, rebind){
+      if (!state || state.version !== 1) {
+        throw new Error('Unsupported snapshot version: ' + (state && state.version));
+      }
 
-      // check collisions until there are no more chains to break
-      // a chain of more than two collisions is pretty unusual
-      var loopBreaker = 0; // just in case.
-      var collisions = 0;
-      do {
-        var thisTime = this.collisionStep();
+      var current = {};
+      this.items.forEach(function(item){
+        current[item.uid] = item;
+      });
 
-        if (config.stepCollisions && thisTime) {
-          this.lastFinished = false;
-          return true;
+      // items that are not part of the snapshot leave the world the usual way,
+      // so zones and joints let go of them
+      var kept = {};
+      state.items.forEach(function(data){
+        kept[data.uid] = true;
+      });
+      this.items.slice().forEach(function(item){
+        if (!kept[item.uid]) this.removeItem(item);
+      },this);
+
+      this.items = state.items.map(function(data){
+        var item = current[data.uid];
+        if (item) item.load(data);
+        else item = Item.fromJSON(data);
+
+        if (rebind) {
+          var bs = rebind(data, item);
+          if (bs !== undefined) item.bs = bs;
         }
 
-        collisions += thisTime;
-      } while (thisTime && ++loopBreaker < 10);
-      this.lastFinished = true;
+        return item;
+      });
 
-      return this.applyPhysics();
+      this.ticks = state.ticks;
+      this.atRest = state.atRest;
+      this.lastFinished = state.lastFinished;
+      this.stepTime = state.stepTime || 0;
+      this.accumulator = state.accumulator || 0;
+      this.alpha = state.alpha === undefined ? 1 : state.alpha;
+      this.setBounds(state.bounds);
+      this.setConfig(state.config);
     },
+
     /**
-     * Push one of the stones. All parameters of the shot must be passed on.
+     * Create a copy of this world, with copies of all items (see Item#clone),
+     * zones and joints. Settings, bounds, surfaces, force fields, obstacles and callbacks are shared; listeners and
+     * the renderer are not. The copy can be ticked without affecting this world.
+     *
+     * @return {Physics}
+     */
+    copy: function(){
+      var copy = new Physics(this.getConfig());
+      copy.bounds = this.bounds;
+      copy.surfaces = this.surfaces.slice(0);
+      copy.forceFields = this.forceFields.slice(0);
+      copy.obstacles = this.obstacles.slice(0);
+      copy.pairRestitution = this.pairRestitution;
+      copy.collisionFilter = this.collisionFilter;
+      copy.ticks = this.ticks;
+      copy.atRest = this.atRest;
+      copy.lastFinished = this.lastFinished;
+      copy.stepTime = this.stepTime;
+      copy.accumulator = this.accumulator;
+      copy.alpha = this.alpha;
+
+      var items = this.items;
+      copy.items = items.map(function(item){ return item.clone(); });
+
+      copy.zones = this.zones.map(function(zone){
+        var clone = new Zone(zone);
+        zone.items.forEach(function(item){
+          clone.items.push(copy.items[items.indexOf(item)]);
+        });
+        zone.settled.forEach(function(item){
+          clone.settled.push(copy.items[items.indexOf(item)]);
+        });
+        return clone;
+      });
+
+      copy.joints = this.joints.map(function(joint){
+        var clone = new Joint(joint);
+        clone.a = copy.items[items.indexOf(joint.a)];
+        if (joint.b) clone.b = copy.items[items.indexOf(joint.b)];
+        return clone;
+      });
+
+      return copy;
+    },
+    /**
+     * Predict a shot without changing anything in this world, for aiming previews.
+     * The shot is played on a copy of the world until everything is at rest.
+     * Positions are in the same space as item.pos.
      *
      * @param {Item} item
      * @param {number} course (radians)
      * @param {number} speed
      * @param {number} curve (-1 ~ 1)
+     * @param {Object} [options]
+     * @param {number} [options.spin] See push
+     * @param {number} [options.maxTicks] Stop predicting after this many ticks, default 1000
+     * @param {boolean} [options.firstCollision] Stop at the first collision (with an item, a wall or an obstacle), for fast previews
+     * @return {Object} {
+     *   trajectories: [{item, points:[{x,y}], captured:boolean}] for every item that moved,
+     *   collisions: [{tick, a, b, x, y}] where b is null for a wall or obstacle (ticks count from 1),
+     *   resting: [{item, x, y}] final position of every item that moved and was not captured,
+     *   ticks: number, atRest: boolean
+     * } or null if the item is not part of this world
      */
-    push: function(item, course, speed, curve){
-      if (speed === 0) return; // ignore
-
-      if (this.items.indexOf(item) < 0) console.warn('Physics engine tried to push an item that it did not know about...');
-      speed = Math.min(speed, config.maxSpeed);
+    predict: function(item, course, speed, curve, options){
+      options = options || {};
+      var maxTicks = options.maxTicks || 1000;
 
-      if (config.record_shots) {
-        // this makes sure that the shots will be exactly the same as when they are played back (fixes rounding issues)
-        var arr = '['+[+item.uid.slice(2), course, speed, curve].join(', ')+','+item.pos.x+','+item.pos.y+']';
-        var json = '{"fu":'+arr+'}';
-        console.log(arr+',');
-        var fu = JSON.parse(json).fu;
-        course = fu[1];
-        speed = fu[2];
-        curve = fu[3];
+      var index = this.items.indexOf(item);
+      if (index < 0) {
+        console.warn('Physics engine tried to predict a shot for an item that it did not know about...', item);
+        return null;
       }
 
-      // in the future, with special boards, this will be more complex
-      var distance = this.distanceToTravel(speed, item.friction);
-
-      if (config.drawCourse) new bonsai.Path()
-        .moveTo(item.pos.x+item.radius, item.pos.y+item.radius)
-        .lineBy(Math.cos(course) * distance, Math.sin(course) * distance)
-        .stroke('red', 2)
-        .addTo(item.bs.parent)
-        .fadestroy('4s');
+      var world = this.copy();
+      world.setConfig({benchmark: false, drawCourse: false, drawCollisionAngles: false, drawCurveCourse: false, drawPositionDots: false});
+      world.ticks = 0;
 
-      item.speed = speed;
+      // map the copies back to the items of this world
+      var originals = {};
+      world.items.forEach(function(clone, i){
+        originals[clone.uid] = this.items[i];
+      },this);
 
-      // adjust the angle to make sure your shot starts towards the original heading
-      item.shotCourse = course + (curve * (Math.PI/2));
+      var result = {trajectories: [], collisions: [], resting: [], ticks: 0, atRest: false};
+      var trajectories = {};
+      var stop = false;
 
-      // the curve is applied unless it is false
-      item.shotCurve = curve;
+      world.on('collision', function(e){
+        result.collisions.push({tick: world.ticks, a: originals[e.a.uid], b: originals[e.b.uid], x: e.x, y: e.y});
+        if (options.firstCollision) stop = true;
+      });
+      world.on('wallCollision', function(e){
+        result.collisions.push({tick: world.ticks, a: originals[e.item.uid], b: null, x: e.x, y: e.y});
+        if (options.firstCollision) stop = true;
+      });
+      world.on('obstacleCollision', function(e){
+        result.collisions.push({tick: world.ticks, a: originals[e.item.uid], b: null, x: e.x, y: e.y});
+        if (options.firstCollision) stop = true;
+      });
+      world.on('itemRemoved', function(e){
+        if (trajectories[e.item.uid]) trajectories[e.item.uid].captured = true;
+      });
 
-      // save the start of this stone. we will need that
-      // to determine the position of this stone in a curve shot
-      item.shotOriginX = item.pos.x;
-      item.shotOriginY = item.pos.y;
+      var previous = world.getCenters();
+      world.push(world.items[index], course, speed, curve, options.spin);
 
-      // distance traveled over the straight line! (so not the curve)
-      // used to determine current position of total distance.
-      item.shotTraveled = 0;
+      while (world.ticks < maxTicks) {
+        var moving = world.step();
 
-      // used to determine progress of the current shot
-      item.shotDistance = distance;
+        world.items.forEach(function(clone){
+          var before = previous[clone.uid];
+          var x = clone.pos.x + clone.radius;
+          var y = clone.pos.y + clone.radius;
+          if (before.x === x && before.y === y && !trajectories[clone.uid]) return;
 
-//      // there is no initial rotation for a shot.
-//      // (we might want to change this for a curved shot)
-//      this.rotation = 1;
+          if (!trajectories[clone.uid]) {
+            trajectories[clone.uid] = {item: originals[clone.uid], points: [{x: before.x - clone.radius, y: before.y - clone.radius}], captured: false};
+            result.trajectories.push(trajectories[clone.uid]);
+          }
+          if (before.x !== x || before.y !== y) trajectories[clone.uid].points.push({x: clone.pos.x, y: clone.pos.y});
+        });
+        previous = world.getCenters();
 
-      // this makes collision detection work for the first step
-      item.course = this.getCourseToNextPositionOnCurve(item);
-    },
-    /**
-     * Release anything this object retains
-     */
-    destroy: function(){
-      this.items.length = 0;
-      this.items = null;
-    },
+        if (!moving) result.atRest = true;
+        if (!moving || stop) break;
+      }
 
-    /**
-     * To prevent unmaintainable system anomalies, each item can only be
-     * used once per tick. prevents loops and other nastiness.
-     */
-    resetItems: function(){
-      this.items.forEach(function(item){
-        item.unused = 1;
+      result.ticks = world.ticks;
+      result.trajectories.forEach(function(trajectory){
+        var last = trajectory.points[trajectory.points.length-1];
+        if (!trajectory.captured) result.resting.push({item: trajectory.item, x: last.x, y: last.y});
       });
-    },
-    /**
-     * Sweep the system for collisions once. Handle only the first collision
-     * we find. Then restart the sweep. This prevents propagation problems.
-     */
-    collisionStep: function(){
-      var collisions = this.items.some(function(item){
-        if (item && item.speed && item.unused) {
-          var ordered = this.orderByDistance(this.items.slice(0), item);
-          // check whether item will collide with any of the other items this step
-
-          for (var i=1;i<ordered.length; ++i) {
-            if (ordered[i] && this.updateIfColliding(item, ordered[i])) {
-              ++collisions;
-              // one collision is enough per step.
-              // if it actually collided with a different stone
-              // the algorithm will have fixed that by now.
-              return true; // break the some
-            }
-          }
-        }
-      },this);
 
-      return collisions;
+      return result;
     },
+
     /**
-     * Check if these items will collide this step.
-     * If so, update them to prevent that.
+     * Find shots that make item come to rest at the target position. This is
+     * the reverse of push. A curved shot ends on the line of its shotCourse, so
+     * every curve has exactly one course and speed. On a plain board that is
+     * computed directly, on a board with surfaces it's found by searching.
+     * Collisions are not taken into account, unless options.checkCollisions is set.
      *
-     * @param {Item} item1
-     * @param {Item} item2
-     * @param {number} [_attempt] Internal counter to prevent infinite recursive calls for an even closer stone.
-     * @return {boolean} Return true if a collision was prevented
+     * @param {Item} item
+     * @param {Object} target {x:number,y:number} in the same space as item.pos
+     * @param {Object} [options]
+     * @param {number[]} [options.curves] Curves to find a shot for, default [0]
+     * @param {boolean} [options.checkCollisions] Mark shots that would hit something on the way as blocked (uses predict)
+     * @return {Object[]} List of {course, speed, curve, reachable, blocked, x, y} with x,y where the shot really ends
+     *   (on boards with surfaces the closest shot found may still be a bit off).
+     *   An unreachable shot needs more than config.maxSpeed, its speed is config.maxSpeed.
      */
-    updateIfColliding: function(item1, item2, _attempt){
-      if (!_attempt) _attempt = 1;
+    solveShot: function(item, target, options){
+      options = options || {};
+      var curves = options.curves || [0];
 
-      var A = item1.speed >= item2.speed ? item1 : item2;
-      var B = A === item1 ? item2 : item1;
+      var dx = target.x - item.pos.x;
+      var dy = target.y - item.pos.y;
+      var distance = this.abcSquare(dx, dy);
+      var angle = Math.atan2(dy, dx);
 
-      var distanceToCollision = this.getDistanceToIntersection(A, B);
+      return curves.map(function(curve){
+        // the curve ends where the shot course points at
+        var course = angle - (curve * (Math.PI/2));
+        var speed = this.speedToTravel(distance, item.friction);
 
-      // if a collision will occur, the distance will be positive
-      if (distanceToCollision > 0) {
-        var item = this.getClosestItemAfterMove(A, B, distanceToCollision);
+        if (this.surfaces.length) {
+          // correct the course for any deviation the surfaces cause, and search the speed.
+          // steps are discrete, so this may not converge. keep the closest.
+          var best = {course: course, speed: speed, miss: Infinity};
+          for (var attempt=0; attempt<10; ++attempt) {
+            speed = this.searchSpeed(item, function(speed){
+              var end = this.getShotEnd(item, course, speed, curve);
+              return this.abcSquare(end.x - item.pos.x, end.y - item.pos.y) - distance;
+            });
+            var end = this.getShotEnd(item, course, speed, curve);
+            var miss = this.abcSquare(end.x - target.x, end.y - target.y);
+            if (miss < best.miss) best = {course: course, speed: speed, miss: miss};
+
+            var error = angle - Math.atan2(end.y - item.pos.y, end.x - item.pos.x);
+            if (Math.abs(error) < 1e-9) break;
+            course += error;
+          }
+          course = best.course;
+          speed = best.speed;
+        }
 
-        // recursive call to new target (note: A hasnt moved yet)
-        if (item !== B && _attempt < 20) this.updateIfColliding(A, item, _attempt+1);
-        // otherwise yeah, this is it
-        else this.updateForCollision(A, B, distanceToCollision);
+        var shot = {course: course, speed: Math.min(speed, this.config.maxSpeed), curve: curve, reachable: speed <= this.config.maxSpeed, blocked: false};
+        var end = this.getShotEnd(item, course, shot.speed, curve);
+        shot.x = end.x;
+        shot.y = end.y;
 
-        return true;
-      }
+        if (options.checkCollisions) {
+          shot.blocked = this.predict(item, shot.course, shot.speed, shot.curve, {firstCollision: true}).collisions.length > 0;
+        }
 
-      return false;
+        return shot;
+      },this);
     },
     /**
-     * Update various parameters of items A and B because they collided.
+     * Find a straight shot that makes item hit target with a given speed left,
+     * for deliberate takeouts. By default item hits target full on. With a
+     * point on the edge of target, item hits target at that point instead.
+     * The speed at impact is approximate, within one tick of friction.
      *
-     * @param {Item} A
-     * @param {Item} B
-     * @param {number} distanceToCollisionA
+     * @param {Item} item
+     * @param {Item} target
+     * @param {Object} [options]
+     * @param {number} [options.speed] Speed item should have left at impact, default 0 (just touching)
+     * @param {Object} [options.point] {x:number,y:number} point on the edge of target to hit
+     * @param {boolean} [options.checkCollisions] Mark the shot as blocked if it would hit anything else first (uses predict)
+     * @return {Object} {course, speed, curve, reachable, blocked, x, y} with x,y the position of item at impact
      */
-    updateForCollision: function(A, B, distanceToCollisionA){
-      var stepDistanceA = this.getStepDistance(A);
-      var stepDistanceB = this.getStepDistance(B);
+    solveTakeout: function(item, target, options){
+      options = options || {};
+      var residual = options.speed || 0;
 
-      var distanceToCollisionB = this.getDistanceToIntersection(B, A);
+      var cx = item.pos.x + item.radius;
+      var cy = item.pos.y + item.radius;
+      var tx = target.pos.x + target.radius;
+      var ty = target.pos.y + target.radius;
 
-      if (config.drawCollisionAngles) {
-        new bonsai.Path()
-          .moveTo(A.pos.x+A.radius,A.pos.y+A.radius)
-          .lineBy(Math.cos(A.course)*150,Math.sin(A.course)*150)
-          .stroke('blue',4)
-          .addTo(A.bs.parent)
-          .fadestroy('2s','2s');
+      // the center of item at the moment of impact
+      var ix, iy;
+      if (options.point) {
+        var px = options.point.x - tx;
+        var py = options.point.y - ty;
+        var len = this.abcSquare(px, py) || 1;
+        ix = tx + px / len * (target.radius + item.radius);
+        iy = ty + py / len * (target.radius + item.radius);
+      } else {
+        var toItem = this.abcSquare(cx - tx, cy - ty) || 1;
+        ix = tx + (cx - tx) / toItem * (target.radius + item.radius);
+        iy = ty + (cy - ty) / toItem * (target.radius + item.radius);
       }
 
-      A.shotCurve = false;
-      B.shotCurve = false;
-
-
-      var x = A.pos.x;
-      var y = A.pos.y;
-
-      // we now move A next to B
-      A.setPos(
-        A.pos.x + Math.cos(A.course) * distanceToCollisionA,
-        A.pos.y + Math.sin(A.course) * distanceToCollisionA
-      );
-      // update B too
-      B.setPos(
-        B.pos.x + Math.cos(B.course) * distanceToCollisionB,
-        B.pos.y + Math.sin(B.course) * distanceToCollisionB
-      );
+      var distance = this.abcSquare(ix - cx, iy - cy);
+      var course = Math.atan2(iy - cy, ix - cx);
+      // every tick an item loses (1-friction) of its speed, so over a distance it loses distance*(1-friction)
+      var speed = residual + distance * (1 - item.friction);
 
-      if (this.distanceBetween(A,B) < A.radius + B.radius) {
-//        console.log('A too close to B now', this.distanceBetween(A,B) , A.radius + B.radius)
-        // mul by 0.95 to prevent rounding to cause overlap
-        A.setPos(
-          x + Math.cos(A.course) * distanceToCollisionA * 0.95,
-          y + Math.sin(A.course) * distanceToCollisionA * 0.95
-        );
+      if (this.surfaces.length) {
+        speed = this.searchSpeed(item, function(speed){
+          return this.getSpeedAfter(item, course, speed, distance) - residual;
+        });
       }
 
-      A.unused *= distanceToCollisionA / stepDistanceA;
-      // only update B's unused if it's actually moving... (otherwise unused becomes NaN)
-      if (stepDistanceB) B.unused *= distanceToCollisionB / stepDistanceB;
-
-      // determine the line A-B and the (only) tangent exactly between A and B
-      var abCourse = this.getCourse(A.pos.x, A.pos.y, B.pos.x, B.pos.y);
-      // tangent is exactly half a pi to the left or right
-      var tangentCourse = abCourse - (Math.PI/2);
-
-      // the new direction of A is always on the tangent, but which end of it
-      // depends on the angle (alpha) A's course makes to abCourse
-      var relAngle = this.angleBetween(A.course, abCourse);
-      if (relAngle > 0) A.course = tangentCourse;
-      else A.course = tangentCourse - Math.PI;
-
-      // abCourse is the course from a line from A towards B. Since A is now
-      // touching B, abCourse is also the new course for B.
-      B.course = abCourse;
-
-      // update speed of the two stones according to the relAngle and power
-      // the angle ranges -1 to 1. the power is 1,2,3.
+      var shot = {course: course, speed: Math.min(speed, this.config.maxSpeed), curve: 0, reachable: speed <= this.config.maxSpeed, blocked: false, x: ix - item.radius, y: iy - item.radius};
 
-      // TOFIX: when required, we should also take B's original speed into account
-
-      var F = (A.speed * A.power) / B.power;
+      if (options.checkCollisions) {
+        var collisions = this.predict(item, shot.course, shot.speed, 0, {firstCollision: true}).collisions;
+        shot.blocked = collisions.length > 0 && collisions[0].b !== target && collisions[0].a !== target;
+      }
 
-      A.speed = A.speed * Math.abs(relAngle);
-      B.speed = F * (1-Math.abs(relAngle));
+      return shot;
     },
     /**
-     * Order the array of items (inline) by distance of each
-     * item to given source.
+     * Get the position where a shot would end, ignoring collisions.
      *
-     * @param {Item[]} arr
-     * @param {Item} source
-     * @return {Array} input
+     * @param {Item} item
+     * @param {number} course
+     * @param {number} speed
+     * @param {number} curve
+     * @return {Object} {x:number,y:number}
      */
-    orderByDistance: function(arr, source){
-      // run through all of them, ordered by distance
-      // first one to hit will be processed
-      // otherwise the algorithm could detect a hit with
-      // a stone behind a closer stone and ignore the
-      // closer stone. this way, it cant happen. the
-      // closer stones are always processed first
-      // if they collide, a new check is done after the
-      // course is changed for the collision. so the
-      // other stones are never skipped, the order just
-      // makes things work properly. Though it is a bit
-      // expensive :(
-      arr.sort(tools.hitch(this, function(a,b) {
-        var pa = this.distanceBetween(source, a);
-        var pb = this.distanceBetween(source, b);
-        if (pa < pb) return -1;
-        if (pa > pb) return 1;
-        return 0;
-      }));
+    getShotEnd: function(item, course, speed, curve){
+      // just what getCurvePos and friends need, like push would set it
+      var shot = {
+        speed: speed,
+        friction: item.friction,
+        radius: item.radius,
+        shotCourse: course + (curve * (Math.PI/2)),
+        shotCurve: curve,
+        shotOriginX: item.pos.x,
+        shotOriginY: item.pos.y
+      };
 
-      return arr;
+      var distance = this.distanceToTravel(speed, item.friction);
+      var traveled = distance;
+      if (this.surfaces.length) {
+        distance = this.getShotDistanceOnSurfaces(shot, distance);
+        traveled = this.getShotTraveledOnSurfaces(shot, distance);
+      }
+
+      return this.getCurvePos(shot, traveled, distance);
     },
     /**
-     * Determines the closest item after A moves a given distance forward. This is usually B
-     * as the algorithm was trying to move A closer to B. But sometimes another stone might
-     * still be closer to A. We're fixing that with this check.
-     * We need B too to make sure we're not just returning B without checking the rest.
+     * Get the speed of item after it traveled the given distance on a straight
+     * line, taking surfaces into account. Returns 0 if it stops before that.
      *
-     * @param {Item} A
-     * @param {Item} B
+     * @param {Item} item
+     * @param {number} course
+     * @param {number} speed
      * @param {number} distance
-     * @return {Item} Returns the closest item to A after A moves distance. In most cases, that's B.
+     * @return {number}
      */
-    getClosestItemAfterMove: function(A, B, distance){
-      var warpAx = A.pos.x + A.radius + (Math.cos(A.course) * distance);
-      var warpAy = A.pos.y + A.radius + (Math.sin(A.course) * distance);
-
-      // the distance between A and B must then be both radius combined
-      var distanceToB = A.radius + B.radius;
-      var closest = B;
-      // make sure B is, at that point, the closest item..
-      this.items.some(function(item){
-        if (item !== A && item !== B) {
-          var distanceToItem = this.abcSquare(warpAx-(item.pos.x+item.radius), warpAy-(item.pos.y+item.radius));
-          if (distanceToItem < distanceToB) {
-            closest = item;
-            return true;
-          }
-        }
-      },this);
-
-      return closest;
+    getSpeedAfter: function(item, course, speed, distance){
+      var traveled = 0;
+      var x = item.pos.x + item.radius;
+      var y = item.pos.y + item.radius;
+      while (traveled + speed <= distance && speed >= this.config.stopSpeed) {
+        traveled += speed;
+        speed *= this.getFriction(item, x + Math.cos(course) * traveled, y + Math.sin(course) * traveled);
+      }
+      return speed < this.config.stopSpeed ? 0 : speed;
     },
     /**
-     * Apply speed and gravity to every item. Return whether any stone is still moving.
+     * Search the lowest speed for which fn(speed) is no longer negative. fn must
+     * grow with the speed. Searches up to twice config.maxSpeed, so unreachable
+     * shots can still be reported.
+     *
+     * @param {Item} item
+     * @param {Function} fn Called in the scope of this engine
+     * @return {number}
      */
-    applyPhysics: function(){
-      var movingStones = false;
-
-      this.items.forEach(function(item){
-        if (item.speed && item.unused) {
-
-          if (item.shotCurve !== false) {
-            var obj = this.getNextCurvePos(item);
-            item.setPos(obj.x, obj.y);
-
-//            new Circle(obj.x,obj.y,2).fill('black').addTo(stage);
-
-          } else {
-            item.setPos(
-              item.pos.x + Math.cos(item.course) * item.speed * item.unused,
-              item.pos.y + Math.sin(item.course) * item.speed * item.unused
-            );
-          }
-
-          item.shotTraveled += item.speed;
-
-          // update course AFTER updating shotTraveled (if still in initial curve shot)
-          if (item.shotCurve !== false) {
-            item.course = this.getCourseToNextPositionOnCurve(item);
-          }
-
-          if (config.drawCurveCourse) {
-            var pos = this.getNextPos(item);
-            new bonsai.Path()
-              .moveTo(item.pos.x+item.radius, item.pos.y+item.radius)
-              .lineTo(pos.x+item.radius,pos.y+item.radius)
-              .stroke('yellow', 1)
-              .addTo(item.bs.parent)
-              .fadestroy('2s','3s');
-          }
-
-          if (config.drawPositionDots) {
-            new bonsai.Circle(item.pos.x+item.radius-2, item.pos.y+item.radius-2, 2)
-              .fill('red')
-              .addTo(item.bs.parent)
-              .fadestroy('4s');
-          }
-
-          item.speed *= item.friction;
-          if (item.speed < config.stopSpeed) item.speed = 0;
-
-          item.unused = 0; // reset
-        }
+    searchSpeed: function(item, fn){
+      var low = 0;
+      var high = this.config.maxSpeed * 2;
+      for (var i=0; i<60; ++i) {
+        var speed = (low + high) / 2;
+        if (fn.call(this, speed) < 0) low = speed;
+        else high = speed;
+      }
+      return high;
+    },
 
-        if (item.speed) movingStones = true;
-      },this);
+    /**
+     * Get the value of a setting, or a copy of all settings if no key is given.
+     *
+     * @param {string} [key]
+     * @return {*}
+     */
+    getConfig: function(key){
+      if (key !== undefined) return this.config[key];
 
-      return movingStones;
+      var copy = {};
+      for (key in this.config) copy[key] = this.config[key];
+      return copy;
     },
     /**
-     * For debugging, check if any item overlaps with another item.
-     * If that's true, the system failed.
+     * Change a setting of this engine. Takes effect immediately.
+     * Either pass on a key and a value, or an object with multiple settings.
+     *
+     * @param {string|Object} key
+     * @param {*} [value]
      */
-    collisionCheck: function(){
-      // stop game if the game detects two overlapping stones
-      // (this will be the case if their centers are less then
-      // the radius of both combined away from each other)
-      this.items.some(function(A,i){
-        if (!A.disabled) for (var j=i+1; j<this.items.length; ++j) {
-          var B = this.items[j];
-          if (this.abcSquare(A.pos.x-B.pos.x, A.pos.y-B.pos.y) < A.radius+B.radius) {
-
-            // this ought to push two stones away from each other
-            // a bit rude and quite a hack, but better than nothing
-
-            // determine the line A-B and the (only) tangent exactly between A and B
-            var abCourse = this.getCourse(A.pos.x, A.pos.y, B.pos.x, B.pos.y);
-            // tangent is exactly half a pi to the left or right
-            var tangentCourse = abCourse - (Math.PI/2);
-
-            var relAngle = this.angleBetween(A.course, abCourse);
-            if (relAngle > 0) A.course = tangentCourse;
-            else A.course = tangentCourse - Math.PI;
-            B.course = abCourse;
-
-            console.warn("Phased :(", this.abcSquare(A.pos.x-B.pos.x, A.pos.y-B.pos.y) , A.radius+B.radius);
-            return true;
-          }
-        }
-      },this);
+    setConfig: function(key, value){
+      if (typeof key === 'object') {
+        for (var name in key) this.setConfig(name, key[name]);
+      } else if (!(key in defaults)) {
+        console.warn('Unknown setting, ignoring it', key);
+      } else {
+        this.config[key] = value;
+      }
     },
 
-    // ### item math ###
-
     /**
-     * Get the distance this item would travel this step if
-     * the current parameters would not change.
+     * Set the renderer for the debug drawings (config.drawCourse and friends). A renderer
+     * implements line(x1, y1, x2, y2, style), dot(x, y, radius, style) and
+     * arc(x, y, radius, startAngle, endAngle, style). The style has a color, width,
+     * duration and delay (ms) and the item the drawing is about.
+     * Without a renderer, a BonsaiRenderer is used when bonsai is loaded,
+     * otherwise nothing is drawn.
      *
-     * @param {Item} item
-     * @return {number}
+     * @param {Object} renderer Like Physics.BonsaiRenderer or Physics.HeadlessRenderer
      */
-    getStepDistance: function(item){
-      if (item.cache.stepDistance) return item.cache.stepDistance;
-
-      var stepDistance = item.speed;
-
-      if (item.shotCurve !== false) {
-        // distance is slightly more complex. luckily we already have to
-        // do most of that math anyways :)
-        var newpos = this.getNextCurvePos(item);
-        stepDistance = this.abcSquare(newpos.x - item.pos.x, newpos.y - item.pos.y);
-      }
-
-      return item.cache.stepDistance = stepDistance * item.unused;
+    setRenderer: function(renderer){
+      this.renderer = renderer;
     },
     /**
-     * Get the next position of an item as if it were following a curve.
+     * Get the renderer to draw debug information with, if any
      *
-     * @param {Item} item
-     * @return {Object} {x:number,y:number}
+     * @return {Object}
      */
-    getNextCurvePos: function(item){
-      if (item.cache.nextCurvePos) return item.cache.nextCurvePos;
-
-      // percentage of 90 degrees (not an angle or anything) at which we shot
-      // we use this number to cut down the y below (with that, the curve)
-      var curve = item.shotCurve;
-      // we will make the stone follow a "perfect" sine :)
-      // to get the current position we first need to get
-      // x, which is the current progress from origin to end.
-      var x = this.getShotProgressToPi(item);
-
-      // now get the height of the sine wave, or part of it anyways
-      // if you did not set a curve, curve will be 0
-      // if you maxed the curve, curve will be 1
-      // we multiply y to create a bigger curve
-
-      var y = Math.sin(x) * curve * config.curveAmplifier;
-      // now we get the angle that a line from the origin to the
-      // target position on the sine wave would make. we need that.
-
-      var alpha = Math.atan(y/x);
-      // to compute the real distance properly we first need the real y
-      var realY = (y/Math.PI) * item.shotDistance;
-      // now we can simply get the distance between xy1 and xy2
-      var curveStepDistance = this.abcSquare(item.shotTraveled+item.speed, realY);
-
-      return item.cache.nextCurvePos = {
-        x: item.shotOriginX + (Math.cos(item.shotCourse - alpha) * curveStepDistance),
-        y: item.shotOriginY + (Math.sin(item.shotCourse - alpha) * curveStepDistance)
-      };
+    getRenderer: function(){
+      if (!this.renderer && typeof bonsai !== 'undefined') this.renderer = new BonsaiRenderer();
+      return this.renderer;
     },
+
     /**
-     * Get the next position of given item
+     * Set the walls of the board. Items bounce off the inside of these walls.
+     * Either a rectangle {type:'rect', x, y, width, height} or a circle
+     * {type:'circle', x, y, radius} where x,y is the center. Coordinates are
+     * in the same space as item.pos. The optional restitution (0 ~ 1, default
+     * 1) is the factor of speed an item keeps after hitting a wall.
+     * Pass null to remove the walls.
      *
-     * @param {Item} item
-     * @return {Object} {x:y}
+     * @param {Object} bounds
      */
-    getNextPos: function(item){
-      if (item.cache.nextPos) return item.cache.nextPos;
-
-      if (item.shotCurve === false) {
-        return item.cache.nextPos = {x:item.pos.x+Math.cos(item.course)*item.speed, y:item.pos.y+Math.sin(item.course)*item.speed};
-      } else {
-        return item.cache.nextPos = this.getNextCurvePos(item);
+    setBounds: function(bounds){
+      if (bounds && bounds.type !== 'rect' && bounds.type !== 'circle') {
+        console.warn('Unknown bounds type, ignoring bounds', bounds);
+        bounds = null;
       }
+      this.bounds = bounds;
     },
+
     /**
-     * Get the progress of the current shot, normalized between 0 and pi.
+     * Advance the world. By default, every call is one step. With config.timestep
+     * set and the elapsed time (ms) since the last tick given, as many steps are
+     * processed as fit in the elapsed time (up to config.maxSteps), so the speed
+     * of the game no longer depends on the frame rate. Renderers can draw in
+     * between steps with getInterpolatedPos.
+     * How many collisions the tick resolved is stored in lastTick.
      *
-     * @return {number}
+     * @param {number} [elapsed] ms since the last tick
+     * @return {boolean} Is there any stone still moving?
      */
-    getShotProgressToPi: function(item){
-      return ((item.shotTraveled+item.speed) / item.shotDistance) * Math.PI;
+    tick: function(elapsed){
+      var timestep = this.config.timestep;
+      if (!timestep || typeof elapsed !== 'number') {
+        this.alpha = 1;
+        return this.step();
+      }
+
+      var result = {moving: !this.atRest, steps: 0, events: 0, capped: false};
+      this.accumulator += elapsed;
+      while (this.accumulator >= timestep) {
+        if (result.steps >= this.config.maxSteps) {
+          // give up on the time we could not keep up with
+          this.accumulator %= timestep;
+          break;
+        }
+
+        this.items.forEach(function(item){
+          item.prevPos = {x: item.pos.x, y: item.pos.y};
+          item.prevBearing = item.bearing;
+        });
+
+        this.step();
+        result.moving = this.lastTick.moving;
+        result.events += this.lastTick.events;
+        result.capped = result.capped || this.lastTick.capped;
+        this.accumulator -= timestep;
+        ++result.steps;
+      }
+
+      this.lastTick = result;
+      this.alpha = this.accumulator / timestep;
+      return result.moving;
     },
     /**
-     * Without changing anything, determine the course of the stone after this step.
+     * Get the position of item at the current time, in between the previous
+     * and the last step (see alpha). Only differs from item.pos when ticking with
+     * config.timestep.
      *
      * @param {Item} item
-     * @return {number} radians!
+     * @return {Object} {x:number, y:number, bearing:number}
      */
-    getCourseToNextPositionOnCurve: function(item){
-      var pos = this.getNextPos(item);
-      var newCourse = this.getCourse(item.pos.x+item.radius, item.pos.y+item.radius,pos.x+item.radius,pos.y+item.radius);
-      return newCourse;
-    },
+    getInterpolatedPos: function(item){
+      var prev = item.prevPos;
+      if (!prev || this.alpha >= 1) return {x: item.pos.x, y: item.pos.y, bearing: item.bearing};
 
-    // ### util math ###
+      // the bearing wraps around, take the short way
+      var turn = (item.bearing - item.prevBearing) % (Math.PI*2);
+      if (turn > Math.PI) turn -= Math.PI*2;
+      else if (turn < -Math.PI) turn += Math.PI*2;
 
-    /**
-     * Pythagorean theorem. Returns c=sqrt(a^2,b^2)
-     *
-     * @param {number} a
-     * @param {number} b
-     * @return {number}
-     */
-    abcSquare: function(a, b){
-      return Math.abs(Math.pow(Math.pow(a, 2) + Math.pow(b, 2), 0.5));
+      return {
+        x: prev.x + (item.pos.x - prev.x) * this.alpha,
+        y: prev.y + (item.pos.y - prev.y) * this.alpha,
+        bearing: item.prevBearing + turn * this.alpha
+      };
     },
     /**
-     * Return the distance between the center of two items, a and b.
+     * Process all items for one time step. Collisions are resolved in the order
+     * in which they happen: everything moves up to the first impact of the step
+     * (see getFirstImpact), that collision is resolved and the rest of the step
+     * is checked again, until nothing collides anymore. After config.maxEvents
+     * collisions the rest of the step is moved without collision checks.
+     * The number of collisions and whether the cap was hit are stored in lastTick.
      *
-     * @param a
-     * @param b
+     * @return {boolean} Is there any stone still moving?
      */
-    distanceBetween: function(a,b){
-      return this.abcSquare((a.pos.x+a.radius)-(b.pos.x+b.radius), (a.pos.y+a.radius)-(b.pos.y+b.radius));
+    step: function(){
+      ++this.ticks;
+      this.stats = this.config.benchmark ? {pairTests: 0} : null;
+
+      if (!this.config.stepCollisions || this.lastFinished) {
+        this.resetItems();
+        this.followPaths();
+        this.applyForceFields();
+        this.applyThrust();
+        if (this.zones.length) this.tickStart = this.getCenters();
+        this.stepTime = 0;
+        this.contacts = {};
+        this.legacyStart = this.config.collisionResponse === 'legacy' ? this.getCenters() : null;
+      }
+
+      var events = 0;
+      var capped = false;
+      var impact;
+      while ((impact = this.getFirstImpact())) {
+        if (events >= this.config.maxEvents) {
+          capped = true;
+          break;
+        }
+
+        this.resolveImpact(impact);
+        ++events;
+
+        if (this.config.stepCollisions) {
+          // the rest of the step is for the next call
+          this.lastFinished = false;
+          this.lastTick = {moving: true, steps: 1, events: events, capped: false};
+          return true;
+        }
+      }
+      this.lastFinished = true;
+
+      var moving = this.applyPhysics();
+      if (this.joints.length && this.solveJoints()) moving = this.items.some(this.isMoving, this);
+      if (this.config.resolveOverlaps || this.config.strictOverlaps) this.resolveOverlaps();
+      // captured items may have been the last ones moving
+      if (this.zones.length && this.updateZones()) moving = this.items.some(this.isMoving, this);
+      if (!moving && !this.atRest) this.emit('worldAtRest', {});
+      this.atRest = !moving;
+      this.lastTick = {moving: moving, steps: 1, events: events, capped: capped};
+      if (this.config.deterministic) this.items.forEach(this.quantize, this);
+
+      if (this.config.benchmark) {
+        this.emit('benchmark', {tick: this.ticks, items: this.items.length, pairTests: this.stats.pairTests, events: events});
+      }
+
+      return moving;
     },
     /**
-     * Assuming circle A is moving in a straight line, get the exact distance
-     * at which point it collides with (assumed) stationary circle B, or -1
-     * if that won't happen this step.
-     * Note: this function assumes A and B don't already overlap.
+     * Push one of the stones. All parameters of the shot must be passed on.
      *
-     * @param {Item} A
-     * @param {Item} B
-     * @return {number} distance forward when A collides to B, or -1 if that wont happen this step
+     * @param {Item} item
+     * @param {number} course (radians)
+     * @param {number} speed
+     * @param {number} curve (-1 ~ 1)
+     * @param {number} [spin] Initial rotation (radians per tick)
      */
-    getDistanceToIntersection: function(A, B){
-      var stepDistanceA = this.getStepDistance(A);
-      var stepDistanceB = this.getStepDistance(B);
+    push: function(item, course, speed, curve, spin){
+      if (speed === 0) return; // ignore
 
-      var combinedRadius = A.radius + B.radius;
+      if (this.items.indexOf(item) < 0) console.warn('Physics engine tried to push an item that it did not know about...');
+      if (item.disabled || item.type !== 'dynamic') {
+        console.warn('Physics engine tried to push a disabled, static or kinematic item', item);
+        return;
+      }
+      speed = Math.min(speed, this.config.maxSpeed);
 
-      var acx = A.pos.x + A.radius;
-      var acy = A.pos.y + A.radius;
-      var bcx = B.pos.x + B.radius;
-      var bcy = B.pos.y + B.radius;
+      // on a plain board this is easy, surfaces are dealt with below
+      var distance = this.distanceToTravel(speed, item.friction);
 
-//new Path().moveTo(A.pos.x,A.pos.y).lineTo(B.pos.x,B.pos.y).stroke('random', 10).addTo(stage);
+      item.speed = speed;
 
-      // we draw a line from A to AA
-      var aacx = acx + (Math.cos(A.course) * stepDistanceA);
-      var aacy = acy + (Math.sin(A.course) * stepDistanceA);
+      // adjust the angle to make sure your shot starts towards the original heading
+      item.shotCourse = course + (curve * (Math.PI/2));
 
-      // also draw a line from B to BB
-      var bbcx = bcx + (Math.cos(B.course) * stepDistanceB);
-      var bbcy = bcy + (Math.sin(B.course) * stepDistanceB);
-//console.log(aacx,bbcx, A.course, stepDistanceA)
+      // the curve is applied unless it is false
+      item.shotCurve = curve;
 
-//new Path().moveTo(aacx,aacy).lineTo(bbcx,bbcy).stroke('random', 10).addTo(stage);
+      // save the start of this stone. we will need that
+      // to determine the position of this stone in a curve shot
+      item.shotOriginX = item.pos.x;
+      item.shotOriginY = item.pos.y;
 
-      // A and B are possibly both moving. change movement vector A
-      // as so that B seems stationary. result will still be a normalized
-      // number, relative to the original distance, so easy fix.
-      // http://www.gamasutra.com/view/feature/131424/pool_hall_lessons_fast_accurate_.php?page=2
-      // http://jsfiddle.net/68Rts/
-      var dx = (aacx-acx) - (bbcx-bcx);
-      var dy = (aacy-acy) - (bbcy-bcy);
+      // distance traveled over the straight line! (so not the curve)
+      // used to determine current position of total distance.
+      item.shotTraveled = 0;
 
-      // delta A-B
-      var fx = acx - bcx;
-      var fy = acy - bcy;
-//console.log(dx,fx)
-      // We will determine the intersection of the line A-AA with B with this algorithm:
-      // http://stackoverflow.com/questions/1073336/circle-line-collision-detection
-      // http://mathworld.wolfram.com/Circle-LineIntersection.html
+      // used to determine progress of the current shot
+      item.shotDistance = distance;
 
-      var a = (dx*dx+dy*dy);
-      var b = 2 * (fx*dx+fy*dy);
-      var c = (fx*fx+fy*fy) - (combinedRadius*combinedRadius);
-      var discriminant = (b*b)-(4*a*c);
+      // on special boards, the friction changes along the way
+      if (this.surfaces.length) distance = item.shotDistance = this.getShotDistanceOnSurfaces(item, distance);
 
-      // if discriminant = <0, there are no intersections of B on A-AA
-      // else if discriminant = 0, there is just one intersection of B on A-AA
-      // else A-AA enters and exits B
-      // we will only want to work with the last
-      // when A and B just touch each others at the edge, the discriminant will also be zero
-      if (discriminant <= 0) return -1;
+      if (this.config.drawCourse && this.getRenderer()) this.renderer.line(
+        item.pos.x+item.radius,
+        item.pos.y+item.radius,
+        item.pos.x+item.radius + Math.cos(course) * distance,
+        item.pos.y+item.radius + Math.sin(course) * distance,
+        {color:'red', width:2, duration:4000, item:item}
+      );
 
-      // get t1 and t2 to determine where on A-AA the collisions occur
-      discriminant = Math.pow(discriminant, 0.5);
-      var t1 = (-b + discriminant) / (2*a);
-      var t2 = (-b - discriminant) / (2*a);
-//console.log(t1,t2, A.radius+ B.radius,~~this.distanceBetween(A,B),this.distanceBetween(A,B)< A.radius+ B.radius)
+      // the spin of a shot does not affect its curve
+      item.rotation = spin || 0;
 
-      // t1 and t2 are normalized numbers relative to A-AA which indicate
-      // where on that line the collisions occur. The value 0 is point A
-      // where the value 1 is point AA. That means that if t1 or t2 are not
-      // withing the 0~1 range, the collisions are not happening on A-AA.
-      if ((t1 < 0 || t1 > 1) && (t2 < 0 || t2 > 1)) return -1;
+      if (this.config.deterministic) this.quantize(item);
 
-      // we're looking for the nearest collision here...
-      var t = t1 < t2 && t1 >= 0 ? t1 : t2;
+      // this makes collision detection work for the first step
+      item.course = this.getCourseToNextPositionOnCurve(item);
 
-      var distance = t * stepDistanceA;
-      return distance;
+      this.atRest = false;
+      this.emit('push', {item: item, course: course, speed: speed, curve: curve, spin: item.rotation});
     },
     /**
-     * Return the course of a line from point 1 to point 2
+     * Keep pushing item with a force, every step until it's changed. Unlike push,
+     * this adds to the current motion of the item, like a thruster or a player
+     * steering with the keyboard. The speed gained per tick is force / mass, at
+     * most item.maxThrust. Call applyForce(item, 0, 0) to let go.
      *
-     * @param {number} x1
-     * @param {number} y1
-     * @param {number} x2
-     * @param {number} y2
-     * @return {number} radians!
+     * @param {Item} item
+     * @param {number} fx
+     * @param {number} fy
      */
-    getCourse: function (x1,y1,x2,y2) {
-      return Math.atan2((y2-y1), (x2-x1)); // get course in radians
+    applyForce: function(item, fx, fy){
+      if (!this.canSteer(item)) return;
+
+      item.force = fx || fy ? {x: fx, y: fy} : null;
+      this.atRest = false;
+      this.emit('steer', {item: item, method: 'applyForce', x: fx, y: fy});
     },
     /**
-     * Return the angle between two angles
+     * Kick item once, adding impulse / mass to its current motion right away.
+     * The thrust and turn caps of the item don't apply, config.maxSpeed does.
      *
-     * @param {number} A radians!
-     * @param {number} B radians!
-     * @return {number} between -1 and 1, -1 means -90 degrees, 1 means 90 degrees
+     * @param {Item} item
+     * @param {number} ix
+     * @param {number} iy
      */
-    angleBetween: function(A,B){
-      return Math.cos((A-B)+(Math.PI/2));
+    applyImpulse: function(item, ix, iy){
+      if (!this.canSteer(item) || (!ix && !iy)) return;
+
+      var mass = this.getMass(item);
+      this.addVelocity(item, ix / mass, iy / mass);
+      this.endShot(item);
+      this.atRest = false;
+      this.emit('steer', {item: item, method: 'applyImpulse', x: ix, y: iy});
     },
     /**
-     * Given initial speed, friction, and a stopping condition (see config
-     * for the latter two), determine the total distance that would be made
-     * on a straight line.
+     * Steer item towards a velocity. Each step the item turns at most
+     * item.maxTurn and gains or loses at most item.maxThrust speed, until it
+     * gets there. Without those caps it gets there in the next step. The item
+     * keeps steering towards it (against friction too) until it's changed.
+     * Call setVelocity(item, null) to let go.
      *
-     * @param {number} speed
-     * @param {number} friction
-     * @return {number}
+     * @param {Item} item
+     * @param {number|null} vx
+     * @param {number} [vy]
      */
-    distanceToTravel: function(speed, friction){
-      // sum = speed*(1-friction^(x+1)) / 1-friction
-      // log(friction^x) = log(config.stopSpeed/speed)
-      // x * log(friction) = log(config.stopSpeed/speed)
-      // x = log(config.stopSpeed/speed) / log(friction)
-
-      if (speed == 0) return 0;
-
-      // and this we can do :)
-      var x = Math.log(config.stopSpeed/speed) / Math.log(friction);
+    setVelocity: function(item, vx, vy){
+      if (!this.canSteer(item)) return;
 
-      // now sum it up:
-      return (speed*(1-Math.pow(friction, x+1))) / (1-friction);
+      item.targetVelocity = vx === null ? null : {x: vx, y: vy};
+      this.atRest = false;
+      this.emit('steer', {item: item, method: 'setVelocity', x: vx, y: vx === null ? null : vy});
     },
     /**
-     * Determine xy of intersection between two 2d lines A-AA and B-BB
+     * Is the item under thrust? That is, pushed by a force (see applyForce) or
+     * steering towards a velocity other than standing still (see setVelocity).
      *
-     * @param {number} ax
-     * @param {number} ay
-     * @param {number} aax
-     * @param {number} aay
-     * @param {number} bx
-     * @param {number} by
+     * @param {Item} item
+     * @return {boolean}
+     */
+    isThrusting: function(item){
+      var target = item.targetVelocity;
+      return !!(item.force || (target && (target.x || target.y)));
+    },
+    /**
+     * Can the player steer this item? Warns if not.
+     *
+     * @param {Item} item
+     * @return {boolean}
+     */
+    canSteer: function(item){
+      if (this.items.indexOf(item) < 0) console.warn('Physics engine tried to steer an item that it did not know about...');
+      if (item.disabled || item.type !== 'dynamic') {
+        console.warn('Physics engine tried to steer a disabled, static or kinematic item', item);
+        return false;
+      }
+      return true;
+    },
+    /**
+     * Turn a curve shot into a straight move at the current course and speed,
+     * capped at config.maxSpeed.
+     *
+     * @param {Item} item
+     */
+    endShot: function(item){
+      item.speed = Math.min(item.speed, this.config.maxSpeed);
+      item.shotCurve = false;
+      item.clearCache();
+      if (this.config.deterministic) this.quantize(item);
+    },
+    /**
+     * Release anything this object retains
+     */
+    destroy: function(){
+      this.items.length = 0;
+      this.items = null;
+    },
+
+    /**
+     * To prevent unmaintainable system anomalies, each item can only be
+     * used once per tick. prevents loops and other nastiness.
+     */
+    resetItems: function(){
+      this.items.forEach(function(item){
+        if (item.type !== 'static') item.unused = 1;
+      });
+    },
+    /**
+     * Let a kinematic item follow a path. It moves from point to point (in the
+     * same space as item.pos) at a constant speed, pushing dynamic items out of
+     * its way without being pushed back. Pass null as points to stop it.
+     *
+     * @param {Item} item
+     * @param {Object[]} points List of {x:number,y:number}
+     * @param {number} speed Distance per tick
+     * @param {boolean} [loop] Start over after the last point
+     */
+    setPath: function(item, points, speed, loop){
+      if (item.type !== 'kinematic') console.warn('Only kinematic items can follow a path', item);
+
+      if (points && points.length) {
+        item.path = {points: points, speed: speed, loop: !!loop, index: 0};
+        this.atRest = false;
+      } else {
+        var speed = item.speed;
+        item.path = null;
+        item.speed = 0;
+        item.clearCache();
+        this.emitIfStopped(item, speed);
+      }
+    },
+    /**
+     * Set the course and speed of every kinematic item that follows a path,
+     * for this tick.
+     */
+    followPaths: function(){
+      this.items.forEach(function(item){
+        var path = item.path;
+        if (!path || item.disabled || item.type !== 'kinematic') return;
+
+        var target = path.points[path.index];
+        var distance = this.abcSquare(target.x - item.pos.x, target.y - item.pos.y);
+        if (distance < this.config.stopSpeed) {
+          // arrived at this point (give or take rounding), on to the next
+          item.setPos(target.x, target.y);
+          if (++path.index >= path.points.length) {
+            if (!path.loop) {
+              item.path = null;
+              item.speed = 0;
+              item.clearCache();
+              this.emit('itemStopped', {item: item});
+              return;
+            }
+            path.index = 0;
+          }
+          target = path.points[path.index];
+          distance = this.abcSquare(target.x - item.pos.x, target.y - item.pos.y);
+        }
+
+        // never overshoot the point
+        item.speed = Math.min(path.speed, distance);
+        item.course = this.getCourse(item.pos.x, item.pos.y, target.x, target.y);
+        item.shotCurve = false;
+        item.clearCache();
+      },this);
+    },
+    /**
+     * Move everything up to the moment of impact and resolve the collision.
+     *
+     * @param {Object} impact As returned by getFirstImpact
+     */
+    resolveImpact: function(impact){
+      this.advanceItems(impact.time);
+      if (impact.wall) {
+        this.updateForWallCollision(impact.a, impact.wall);
+      } else if (impact.obstacle) {
+        this.updateForObstacleCollision(impact.a, impact.obstacle);
+      } else {
+        this.updateForCollision(impact.a, impact.b);
+        this.contacts[impact.a.uid + ' ' + impact.b.uid] = true;
+        this.contacts[impact.b.uid + ' ' + impact.a.uid] = true;
+      }
+    },
+    /**
+     * Resolve only the first collision in the rest of this step.
+     *
+     * @deprecated Collisions are resolved in step, in the order in which they happen. Kept for old callers.
+     * @return {boolean} Was there a collision?
+     */
+    collisionStep: function(){
+      var impact = this.getFirstImpact();
+      if (impact) this.resolveImpact(impact);
+      return !!impact;
+    },
+    /**
+     * Check if these items will collide in the rest of this step. If so,
+     * move everything up to that moment and resolve the collision.
+     *
+     * @deprecated Collisions are resolved in step, in the order in which they happen. Kept for old callers.
+     * @param {Item} item1
+     * @param {Item} item2
+     * @return {boolean} Return true if a collision was resolved
+     */
+    updateIfColliding: function(item1, item2){
+      var time = this.getTimeOfImpact(item1, item2);
+      if (time < 0) return false;
+
+      this.resolveImpact({time: time, a: item1, b: item2});
+      return true;
+    },
+    /**
+     * Find the first collision in the rest of this step: the earliest time of
+     * impact of all pairs the broadphase comes up with, of the walls and of the
+     * obstacles. On a tie, the first item in this.items wins.
+     *
+     * @return {Object} {time:number, a:Item, b:Item}, {time:number, a:Item, wall:Object} (see getWallIntersection) or {time:number, a:Item, obstacle:Object} (see getObstacleIntersection), or null if nothing collides
+     */
+    getFirstImpact: function(){
+      this.buildBroadphase();
+
+      var first = null;
+      var tested = {};
+      this.items.forEach(function(item){
+        if (!this.movesThisStep(item)) return;
+        tested[item.uid] = true;
+
+        // kinematic items are moved by script, walls and obstacles dont stop them
+        var wall = item.type === 'dynamic' && this.getWallIntersection(item);
+        if (wall && (!first || wall.time < first.time)) first = {time: wall.time, a: item, wall: wall};
+        var obstacle = item.type === 'dynamic' && this.obstacles.length && this.getObstacleIntersection(item);
+        if (obstacle && (!first || obstacle.time < first.time)) first = {time: obstacle.time, a: item, obstacle: obstacle};
+
+        this.getCandidates(item).forEach(function(other){
+          // a pair of two moving items is only tested once
+          if (!other || tested[other.uid] || !this.canCollide(item, other)) return;
+          var time = this.getTimeOfImpact(item, other);
+          // the legacy response only knew collisions after some distance was moved, and
+          // can leave a pair still approaching. dont resolve those over and over
+          if (time >= 0 && time < 1e-9 && this.legacyStart && (!this.stepTime || this.contacts[item.uid + ' ' + other.uid])) return;
+          if (time >= 0 && (!first || time < first.time)) first = {time: time, a: item, b: other};
+        },this);
+      },this);
+
+      return first;
+    },
+    /**
+     * Move every moving item to a moment in the rest of this step, ignoring
+     * collisions. Curve shots stay on their curve, see getStepDistance.
+     *
+     * @param {number} time Relative to the rest of the step (0 ~ 1)
+     */
+    advanceItems: function(time){
+      if (time > 0) this.items.forEach(function(item){
+        if (!this.movesThisStep(item)) return;
+
+        var distance = this.getStepDistance(item) * time;
+        item.setPos(
+          item.pos.x + Math.cos(item.course) * distance,
+          item.pos.y + Math.sin(item.course) * distance
+        );
+        // a curve shot still heads for the same point, the distance to it is what is left
+        if (item.shotCurve === false) item.unused *= 1 - time;
+      },this);
+
+      this.stepTime += (1 - this.stepTime) * time;
+      if (time >= 1e-9) this.contacts = {};
+    },
+    /**
+     * Put all items in a new spatial hash, for the current positions and step
+     * distances. Cells are sized so that an item never spans more than a few.
+     * Without config.broadphase, the grid is null and every pair is tested.
+     */
+    buildBroadphase: function(){
+      this.grid = null;
+      if (!this.config.broadphase) return;
+
+      var boxes = [];
+      var cellSize = 1;
+      var moving = false;
+      this.items.forEach(function(item){
+        var box = item && this.getSweptBox(item);
+        boxes.push(box);
+        if (box) {
+          cellSize = Math.max(cellSize, box[2]-box[0], box[3]-box[1]);
+          if (item.speed && item.unused) moving = true;
+        }
+      },this);
+
+      // nothing will collide anyways
+      if (!moving) return;
+
+      this.grid = new SpatialHash(cellSize);
+      boxes.forEach(function(box, index){
+        if (box) this.grid.insert(index, box[0], box[1], box[2], box[3]);
+      },this);
+    },
+    /**
+     * Get the bounding box of the area item covers this step, in center coordinates.
+     *
+     * @param {Item} item
+     * @return {number[]} [minX, minY, maxX, maxY]
+     */
+    getSweptBox: function(item){
+      var cx = item.pos.x + item.radius;
+      var cy = item.pos.y + item.radius;
+      var stepDistance = item.speed && item.unused ? this.getStepDistance(item) : 0;
+      var ex = cx + Math.cos(item.course) * stepDistance;
+      var ey = cy + Math.sin(item.course) * stepDistance;
+
+      return [
+        Math.min(cx, ex) - item.radius,
+        Math.min(cy, ey) - item.radius,
+        Math.max(cx, ex) + item.radius,
+        Math.max(cy, ey) + item.radius
+      ];
+    },
+    /**
+     * Get the items that item could touch this step, including item itself.
+     * They are returned in the order of this.items.
+     *
+     * @param {Item} item
+     * @return {Item[]} A new array
+     */
+    getCandidates: function(item){
+      if (!this.grid) return this.items.slice(0);
+
+      var box = this.getSweptBox(item);
+      return this.grid.query(box[0], box[1], box[2], box[3]).map(function(index){
+        return this.items[index];
+      },this);
+    },
+    /**
+     * Order the array of items (inline) by distance of each
+     * item to given source.
+     *
+     * @deprecated The broadphase and getFirstImpact find the items to test. Kept for old callers.
+     * @param {Item[]} arr
+     * @param {Item} source
+     * @return {Array} input
+     */
+    orderByDistance: function(arr, source){
+      var physics = this;
+      arr.sort(function(a, b){
+        return physics.distanceBetween(source, a) - physics.distanceBetween(source, b);
+      });
+
+      return arr;
+    },
+    /**
+     * Determines the closest item after A moves a given distance forward. This is usually B,
+     * unless another item is in the way.
+     *
+     * @deprecated getFirstImpact finds the first collision of all items. Kept for old callers.
+     * @param {Item} A
+     * @param {Item} B
+     * @param {number} distance
+     * @return {Item} Returns the closest item to A after A moves distance. In most cases, that's B.
+     */
+    getClosestItemAfterMove: function(A, B, distance){
+      var warpAx = A.pos.x + A.radius + (Math.cos(A.course) * distance);
+      var warpAy = A.pos.y + A.radius + (Math.sin(A.course) * distance);
+
+      var closest = B;
+      this.items.some(function(item){
+        if (item !== A && item !== B && this.abcSquare(warpAx-(item.pos.x+item.radius), warpAy-(item.pos.y+item.radius)) < A.radius + B.radius) {
+          closest = item;
+          return true;
+        }
+      },this);
+
+      return closest;
+    },
+    /**
+     * Update various parameters of items A and B because they collided.
+     * They are expected to touch at this point, see getFirstImpact.
+     * Old callers that still pass the distance to the collision get A (and
+     * everything else) moved that far first.
+     *
+     * @param {Item} A
+     * @param {Item} B
+     * @param {number} [distanceToCollisionA] Deprecated, see getDistanceToIntersection
+     */
+    updateForCollision: function(A, B, distanceToCollisionA){
+      if (distanceToCollisionA > 0) this.advanceItems(Math.min(1, distanceToCollisionA / this.getStepDistance(A)));
+
+      // the faster item is A, the legacy response depends on it
+      if (B.speed > A.speed) {
+        var faster = B;
+        B = A;
+        A = faster;
+      }
+
+      if (this.config.drawCollisionAngles && this.getRenderer()) {
+        this.renderer.line(
+          A.pos.x+A.radius,
+          A.pos.y+A.radius,
+          A.pos.x+A.radius + Math.cos(A.course)*150,
+          A.pos.y+A.radius + Math.sin(A.course)*150,
+          {color:'blue', width:4, duration:2000, delay:2000, item:A}
+        );
+      }
+
+      A.shotCurve = false;
+      B.shotCurve = false;
+
+      var speedA = A.speed;
+      var speedB = B.speed;
+
+      // both use the rest of this step to move away
+      if (A.type === 'dynamic') A.unused = 1 - this.stepTime;
+      if (B.type === 'dynamic') B.unused = 1 - this.stepTime;
+
+      // determine the line A-B and the (only) tangent exactly between A and B
+      var abCourse = this.getCourse(A.pos.x+A.radius, A.pos.y+A.radius, B.pos.x+B.radius, B.pos.y+B.radius);
+      var relAngle = this.angleBetween(A.course, abCourse);
+
+      // velocities before the collision, for the spin
+      var before = {
+        ax: Math.cos(A.course) * A.speed,
+        ay: Math.sin(A.course) * A.speed,
+        bx: Math.cos(B.course) * B.speed,
+        by: Math.sin(B.course) * B.speed
+      };
+
+      if (A.type !== 'dynamic' || B.type !== 'dynamic') this.fixedResponse(A, B);
+      else if (this.config.collisionResponse === 'impulse') this.impulseResponse(A, B);
+      else this.legacyResponse(A, B, abCourse, relAngle);
+
+      this.spinResponse(A, B, before);
+
+      // new speed and course, the cached step distances are off now
+      A.clearCache();
+      B.clearCache();
+
+      // A and B touch now, the point of impact is on the line A-B
+      var impactDistance = A.radius + (this.distanceBetween(A,B) - A.radius - B.radius) / 2;
+      this.emit('collision', {
+        a: A,
+        b: B,
+        x: A.pos.x + A.radius + Math.cos(abCourse) * impactDistance,
+        y: A.pos.y + A.radius + Math.sin(abCourse) * impactDistance,
+        angle: relAngle,
+        speed: B.speed
+      });
+
+      this.emitIfStopped(A, speedA);
+      this.emitIfStopped(B, speedB);
+    },
+    /**
+     * Original collision response. A continues along the tangent between A and B,
+     * B goes along the line A-B. Only A's speed and the power of both is used.
+     *
+     * @param {Item} A
+     * @param {Item} B
+     * @param {number} abCourse Course of the line from A to B
+     * @param {number} relAngle Angle of A's course to abCourse (-1 ~ 1)
+     */
+    legacyResponse: function(A, B, abCourse, relAngle){
+      var start = this.legacyStart && this.legacyStart[A.uid];
+      if (start && this.distanceBetween(A,B) < A.radius + B.radius) {
+        // mul by 0.95 to prevent rounding to cause overlap
+        A.setPos(
+          start.x + (A.pos.x + A.radius - start.x) * 0.95 - A.radius,
+          start.y + (A.pos.y + A.radius - start.y) * 0.95 - A.radius
+        );
+      }
+
+      // the original geometry takes the line between the top left corners of A and B
+      abCourse = this.getCourse(A.pos.x, A.pos.y, B.pos.x, B.pos.y);
+      relAngle = this.angleBetween(A.course, abCourse);
+
+      // and lets both move as far as they got before the collision, or a full step for an item that stood still
+      A.unused = this.stepTime;
+      B.unused = B.speed ? this.stepTime : 1;
+      if (this.legacyStart) {
+        this.legacyStart[A.uid] = {x: A.pos.x + A.radius, y: A.pos.y + A.radius};
+        this.legacyStart[B.uid] = {x: B.pos.x + B.radius, y: B.pos.y + B.radius};
+      }
+
+      // tangent is exactly half a pi to the left or right
+      var tangentCourse = abCourse - (Math.PI/2);
+
+      // the new direction of A is always on the tangent, but which end of it
+      // depends on the angle (alpha) A's course makes to abCourse
+      if (relAngle > 0) A.course = tangentCourse;
+      else A.course = tangentCourse - Math.PI;
+
+      // abCourse is the course from a line from A towards B. Since A is now
+      // touching B, abCourse is also the new course for B.
+      B.course = abCourse;
+
+      // update speed of the two stones according to the relAngle and power
+      // the angle ranges -1 to 1. the power is 1,2,3.
+
+      // B's original speed is ignored here, use the impulse response for that
+
+      var F = (A.speed * A.power) / B.power;
+
+      A.speed = A.speed * Math.abs(relAngle);
+      B.speed = F * (1-Math.abs(relAngle));
+    },
+    /**
+     * Momentum conserving collision response. Uses the velocities of both items,
+     * their mass (see getMass) and restitution (see getRestitution).
+     *
+     * @param {Item} A
+     * @param {Item} B
+     */
+    impulseResponse: function(A, B){
+      // normal of the collision, from the center of A to the center of B
+      var nx = (B.pos.x+B.radius) - (A.pos.x+A.radius);
+      var ny = (B.pos.y+B.radius) - (A.pos.y+A.radius);
+      var len = this.abcSquare(nx, ny);
+      if (!len) return; // same center, no way to tell
+      nx /= len;
+      ny /= len;
+
+      var avx = Math.cos(A.course) * A.speed;
+      var avy = Math.sin(A.course) * A.speed;
+      var bvx = Math.cos(B.course) * B.speed;
+      var bvy = Math.sin(B.course) * B.speed;
+
+      // speed at which they approach each other along the normal
+      var approach = (avx-bvx)*nx + (avy-bvy)*ny;
+      if (approach <= 0) return; // already separating
+
+      var inverseA = 1 / this.getMass(A);
+      var inverseB = 1 / this.getMass(B);
+      var impulse = (1 + this.getRestitution(A, B)) * approach / (inverseA + inverseB);
+
+      avx -= impulse * inverseA * nx;
+      avy -= impulse * inverseA * ny;
+      bvx += impulse * inverseB * nx;
+      bvy += impulse * inverseB * ny;
+
+      A.speed = this.abcSquare(avx, avy);
+      A.course = Math.atan2(avy, avx);
+      B.speed = this.abcSquare(bvx, bvy);
+      B.course = Math.atan2(bvy, bvx);
+    },
+    /**
+     * Collision response between a dynamic item and a static or kinematic item.
+     * The dynamic item bounces off, the other is not affected at all. A kinematic
+     * item hands over its own velocity too. A bumper (see Item.boost) adds speed.
+     *
+     * @param {Item} A
+     * @param {Item} B
+     */
+    fixedResponse: function(A, B){
+      var fixed = A.type === 'dynamic' ? B : A;
+      var item = fixed === A ? B : A;
+
+      // normal of the collision, from the fixed item to the dynamic item
+      var nx = (item.pos.x+item.radius) - (fixed.pos.x+fixed.radius);
+      var ny = (item.pos.y+item.radius) - (fixed.pos.y+fixed.radius);
+      var len = this.abcSquare(nx, ny);
+      if (!len) return;
+      nx /= len;
+      ny /= len;
+
+      var fvx = Math.cos(fixed.course) * fixed.speed;
+      var fvy = Math.sin(fixed.course) * fixed.speed;
+      // velocity relative to the fixed item
+      var vx = Math.cos(item.course) * item.speed - fvx;
+      var vy = Math.sin(item.course) * item.speed - fvy;
+
+      var approach = -(vx*nx + vy*ny);
+      if (approach <= 0) return; // already separating
+
+      var bounce = (1 + this.getRestitution(item, fixed)) * approach + fixed.boost;
+      vx += bounce * nx + fvx;
+      vy += bounce * ny + fvy;
+
+      item.speed = Math.min(this.abcSquare(vx, vy), this.config.maxSpeed);
+      item.course = Math.atan2(vy, vx);
+    },
+    /**
+     * Transfer spin between A and B through the friction between their surfaces
+     * (see Item.grip). A glancing blow makes both items spin, and a spinning item
+     * makes the other spin the opposite way. In the impulse response the friction
+     * also changes their velocities, in the legacy response only the spin changes.
+     *
+     * @param {Item} A
+     * @param {Item} B
+     * @param {Object} before Velocities before the collision {ax, ay, bx, by}
+     */
+    spinResponse: function(A, B, before){
+      var grip = Math.min(A.grip, B.grip);
+      if (!grip) return;
+
+      var nx = (B.pos.x+B.radius) - (A.pos.x+A.radius);
+      var ny = (B.pos.y+B.radius) - (A.pos.y+A.radius);
+      var len = this.abcSquare(nx, ny);
+      if (!len) return;
+      nx /= len;
+      ny /= len;
+      // tangent, in the direction the surface of A moves for a positive rotation
+      var tx = -ny;
+      var ty = nx;
+
+      var rvx = before.ax - before.bx;
+      var rvy = before.ay - before.by;
+      var approach = rvx*nx + rvy*ny;
+      if (approach <= 0) return;
+
+      var massA = this.getMass(A);
+      var massB = this.getMass(B);
+      // moment of inertia of a disc
+      var inertiaA = 0.5 * massA * A.radius * A.radius;
+      var inertiaB = 0.5 * massB * B.radius * B.radius;
+
+      // how fast the surfaces slide along each other at the point of impact
+      var slip = rvx*tx + rvy*ty + A.rotation*A.radius + B.rotation*B.radius;
+      var normalImpulse = (1 + this.getRestitution(A, B)) * approach / (1/massA + 1/massB);
+      var impulse = -slip / (1/massA + 1/massB + (A.radius*A.radius)/inertiaA + (B.radius*B.radius)/inertiaB);
+      // friction can not be stronger than the hit itself
+      impulse = Math.max(-grip * normalImpulse, Math.min(grip * normalImpulse, impulse));
+
+      A.rotation += A.radius * impulse / inertiaA;
+      B.rotation += B.radius * impulse / inertiaB;
+
+      if (this.config.collisionResponse === 'impulse') {
+        this.addVelocity(A, tx * impulse / massA, ty * impulse / massA);
+        this.addVelocity(B, -tx * impulse / massB, -ty * impulse / massB);
+      }
+    },
+    /**
+     * Add a velocity vector to the current motion of item.
+     *
+     * @param {Item} item
+     * @param {number} vx
+     * @param {number} vy
+     */
+    addVelocity: function(item, vx, vy){
+      vx += Math.cos(item.course) * item.speed;
+      vy += Math.sin(item.course) * item.speed;
+      item.speed = this.abcSquare(vx, vy);
+      if (item.speed) item.course = Math.atan2(vy, vx);
+    },
+    /**
+     * Get the mass of an item. That's item.mass if set, otherwise the
+     * area of the item times item.density if set, otherwise item.power.
+     * Static and kinematic items have an infinite mass.
+     *
+     * @param {Item} item
+     * @return {number}
+     */
+    getMass: function(item){
+      if (item.type !== 'dynamic') return Infinity;
+      if (item.mass) return item.mass;
+      if (item.density) return item.density * Math.PI * item.radius * item.radius;
+      return item.power || 1;
+    },
+    /**
+     * Set a function that determines the restitution of a pair of items, for
+     * config.collisionResponse 'impulse'. It's called as fn(A, B) and may return
+     * undefined to use the restitution of the items themselves.
+     *
+     * @param {Function} fn Or null to remove it
+     */
+    setPairRestitution: function(fn){
+      this.pairRestitution = fn;
+    },
+    /**
+     * Get the restitution (0 ~ 1) of a collision between A and B. 1 is perfectly
+     * elastic, 0 makes them move on together. Uses the pair restitution function if
+     * set, otherwise the lowest restitution of the two items.
+     *
+     * @param {Item} A
+     * @param {Item} B
+     * @return {number}
+     */
+    getRestitution: function(A, B){
+      var restitution = this.pairRestitution && this.pairRestitution(A, B);
+      if (typeof restitution === 'number') return restitution;
+      return Math.min(A.restitution, B.restitution);
+    },
+    /**
+     * Set a function that decides whether two items may collide, on top of
+     * their ghost, disabled, category and mask settings. It's called as
+     * fn(A, B) and may return false to let them pass through each other.
+     *
+     * @param {Function} fn Or null to remove it
+     */
+    setCollisionFilter: function(fn){
+      this.collisionFilter = fn;
+    },
+    /**
+     * Can these two items collide? Ghost and disabled items never collide,
+     * neither do two items that are both static or kinematic.
+     * Otherwise the category of each must be in the mask of the other, and
+     * the collision filter (if any) must not object.
+     *
+     * @param {Item} A
+     * @param {Item} B
+     * @return {boolean}
+     */
+    canCollide: function(A, B){
+      if (A === B || A.ghost || B.ghost || A.disabled || B.disabled) return false;
+      // static and kinematic items dont affect each other
+      if (A.type !== 'dynamic' && B.type !== 'dynamic') return false;
+      if (!(A.category & B.mask) || !(B.category & A.mask)) return false;
+      if (this.collisionFilter && this.collisionFilter(A, B) === false) return false;
+      return true;
+    },
+    /**
+     * Determine where item will hit a wall in the rest of this step, if at all.
+     * Uses the same swept test as getTimeOfImpact, so fast items can not
+     * tunnel through a wall.
+     *
+     * @param {Item} item
+     * @return {Object} {time:number, distance:number, nx:number, ny:number} where time is relative to the rest of the step (0 ~ 1) and n is the normal of the wall (pointing inward), or null
+     */
+    getWallIntersection: function(item){
+      var bounds = this.bounds;
+      if (!bounds) return null;
+
+      var stepDistance = this.getStepDistance(item);
+      var cx = item.pos.x + item.radius;
+      var cy = item.pos.y + item.radius;
+      var dx = Math.cos(item.course) * stepDistance;
+      var dy = Math.sin(item.course) * stepDistance;
+
+      var t = -1;
+      var nx = 0;
+      var ny = 0;
+
+      if (bounds.type === 'rect') {
+        // shrink the walls by the radius so we can work with the center
+        var walls = [
+          // position of wall, center, delta, normal x, normal y, max or min wall
+          [bounds.x + item.radius, cx, dx, 1, 0, false],
+          [bounds.x + bounds.width - item.radius, cx, dx, -1, 0, true],
+          [bounds.y + item.radius, cy, dy, 0, 1, false],
+          [bounds.y + bounds.height - item.radius, cy, dy, 0, -1, true]
+        ];
+        walls.forEach(function(wall){
+          var moving = wall[5] ? wall[2] > 0 : wall[2] < 0;
+          if (!moving) return;
+          // already beyond the wall means an immediate hit
+          var beyond = wall[5] ? wall[1] >= wall[0] : wall[1] <= wall[0];
+          var wt = beyond ? 0 : (wall[0] - wall[1]) / wall[2];
+          if (wt <= 1 && (t < 0 || wt < t)) {
+            t = wt;
+            nx = wall[3];
+            ny = wall[4];
+          }
+        });
+      } else {
+        // the center must stay within this circle
+        var inner = bounds.radius - item.radius;
+        var fx = cx - bounds.x;
+        var fy = cy - bounds.y;
+        // an item that was just bounced off the wall is on it, give or take rounding
+        var onWall = (fx*fx+fy*fy) >= inner*inner * (1 - 1e-9);
+
+        if (onWall && (fx*dx+fy*dy) > 0) {
+          // on or beyond the wall and moving out, bounce right away
+          t = 0;
+        } else {
+          var roots = this.getSweptRoots(fx, fy, dx, dy, inner);
+          // moving inward, so the exit is the one we want
+          if (roots && roots.t1 >= 0 && roots.t1 <= 1) t = roots.t1;
+        }
+
+        if (t >= 0) {
+          var hx = fx + dx*t;
+          var hy = fy + dy*t;
+          var len = this.abcSquare(hx, hy) || 1;
+          nx = -hx / len;
+          ny = -hy / len;
+        }
+      }
+
+      if (t < 0) return null;
+
+      return {time: t, distance: t * stepDistance, nx: nx, ny: ny};
+    },
+    /**
+     * Bounce item off the wall it touches at this point.
+     * Ends any curve shot, like updateForCollision does.
+     *
+     * @param {Item} item
+     * @param {Object} wall As returned by getWallIntersection
+     */
+    updateForWallCollision: function(item, wall){
+      var speed = item.speed;
+      item.shotCurve = false;
+      this.clampToBounds(item);
+
+      // use the rest of this step to move away from the wall
+      item.unused = 1 - this.stepTime;
+
+      // reflect the course over the normal of the wall
+      var vx = Math.cos(item.course);
+      var vy = Math.sin(item.course);
+      var dot = vx*wall.nx + vy*wall.ny;
+      item.course = Math.atan2(vy - 2*dot*wall.ny, vx - 2*dot*wall.nx);
+
+      var restitution = this.bounds.restitution;
+      if (restitution === undefined) restitution = 1;
+      item.speed *= restitution;
+      item.clearCache();
+
+      this.emit('wallCollision', {
+        item: item,
+        x: item.pos.x + item.radius - wall.nx * item.radius,
+        y: item.pos.y + item.radius - wall.ny * item.radius,
+        nx: wall.nx,
+        ny: wall.ny
+      });
+
+      this.emitIfStopped(item, speed);
+    },
+    /**
+     * Put item back on the wall if it is beyond it.
+     *
+     * @param {Item} item
+     */
+    clampToBounds: function(item){
+      var bounds = this.bounds;
+      if (!bounds) return;
+
+      var r = item.radius;
+      if (bounds.type === 'rect') {
+        item.pos.x = Math.max(bounds.x, Math.min(item.pos.x, bounds.x + bounds.width - r*2));
+        item.pos.y = Math.max(bounds.y, Math.min(item.pos.y, bounds.y + bounds.height - r*2));
+      } else {
+        var inner = bounds.radius - r;
+        var fx = item.pos.x + r - bounds.x;
+        var fy = item.pos.y + r - bounds.y;
+        var distance = this.abcSquare(fx, fy);
+        if (distance > inner) {
+          item.pos.x = bounds.x + fx * inner / distance - r;
+          item.pos.y = bounds.y + fy * inner / distance - r;
+        }
+      }
+      item.clearCache();
+    },
+    /**
+     * Determine where item will hit an obstacle in the rest of this step, if at all.
+     * The center of item is tested against every edge of an obstacle, moved out
+     * by the radius, and against every corner.
+     *
+     * @param {Item} item
+     * @return {Object} {time:number, distance:number, nx:number, ny:number, obstacle:Obstacle} where time is relative to the rest of the step (0 ~ 1) and n is the normal of the obstacle where it was hit, or null
+     */
+    getObstacleIntersection: function(item){
+      var stepDistance = this.getStepDistance(item);
+      var first = this.getObstacleHit(
+        item.pos.x + item.radius,
+        item.pos.y + item.radius,
+        Math.cos(item.course) * stepDistance,
+        Math.sin(item.course) * stepDistance,
+        item.radius
+      );
+
+      if (first) first.distance = first.time * stepDistance;
+      return first;
+    },
+    /**
+     * Determine where a circle moving from c by d first hits an obstacle.
+     *
+     * @param {number} cx Center of the circle
+     * @param {number} cy
+     * @param {number} dx Movement of the center
+     * @param {number} dy
+     * @param {number} radius
+     * @return {Object} {time:number, nx:number, ny:number, obstacle:Obstacle} where time is relative to the movement (0 ~ 1), or null
+     */
+    getObstacleHit: function(cx, cy, dx, dy, radius){
+      var box = [
+        Math.min(cx, cx + dx) - radius,
+        Math.min(cy, cy + dy) - radius,
+        Math.max(cx, cx + dx) + radius,
+        Math.max(cy, cy + dy) + radius
+      ];
+
+      var first = null;
+      this.obstacles.forEach(function(obstacle){
+        var bounds = obstacle.getBox();
+        if (bounds[0] > box[2] || bounds[2] < box[0] || bounds[1] > box[3] || bounds[3] < box[1]) return;
+
+        var hits = obstacle.getEdges().map(function(edge){
+          return this.getEdgeIntersection(cx, cy, dx, dy, radius, edge[0], edge[1]);
+        },this).concat(obstacle.points.map(function(point){
+          return this.getCornerIntersection(cx, cy, dx, dy, radius, point);
+        },this));
+
+        hits.forEach(function(hit){
+          if (hit && (!first || hit.time < first.time)) {
+            hit.obstacle = obstacle;
+            first = hit;
+          }
+        });
+      },this);
+
+      return first;
+    },
+    /**
+     * Determine when a circle moving from c by d hits the edge a-b, on the
+     * side of the edge it is on now.
+     *
+     * @param {number} cx Center of the circle
+     * @param {number} cy
+     * @param {number} dx Movement of the center in the rest of this step
+     * @param {number} dy
+     * @param {number} radius
+     * @param {Object} a {x:number,y:number}
+     * @param {Object} b {x:number,y:number}
+     * @return {Object} {time:number, nx:number, ny:number} or null if it wont hit the edge this step
+     */
+    getEdgeIntersection: function(cx, cy, dx, dy, radius, a, b){
+      var ex = b.x - a.x;
+      var ey = b.y - a.y;
+      var length = this.abcSquare(ex, ey);
+      if (!length) return null;
+
+      // normal of the edge, pointing to the side the center is on
+      var nx = -ey / length;
+      var ny = ex / length;
+      var side = (cx - a.x) * nx + (cy - a.y) * ny;
+      if (side < 0 || (!side && dx*nx + dy*ny > 0)) {
+        nx = -nx;
+        ny = -ny;
+        side = -side;
+      }
+
+      // moving away from the edge, or along it
+      if (dx*nx + dy*ny >= -1e-9 * radius) return null;
+
+      if (side <= radius) {
+        // touching already, unless the center is beyond the ends (the corners handle that)
+        var along = ((cx - a.x) * ex + (cy - a.y) * ey) / (length*length);
+        return along >= 0 && along <= 1 ? {time: 0, nx: nx, ny: ny} : null;
+      }
+
+      // where the center crosses the edge moved out by the radius
+      var ox = nx * radius;
+      var oy = ny * radius;
+      var hit = this.lineIntersection(cx, cy, cx + dx, cy + dy, a.x + ox, a.y + oy, b.x + ox, b.y + oy);
+      if (!hit) return null;
+
+      return {time: this.abcSquare(hit.x - cx, hit.y - cy) / this.abcSquare(dx, dy), nx: nx, ny: ny};
+    },
+    /**
+     * Determine when a circle moving from c by d hits the corner p.
+     *
+     * @param {number} cx Center of the circle
+     * @param {number} cy
+     * @param {number} dx Movement of the center in the rest of this step
+     * @param {number} dy
+     * @param {number} radius
+     * @param {Object} p {x:number,y:number}
+     * @return {Object} {time:number, nx:number, ny:number} or null if it wont hit the corner this step
+     */
+    getCornerIntersection: function(cx, cy, dx, dy, radius, p){
+      var fx = cx - p.x;
+      var fy = cy - p.y;
+
+      // moving away from the corner, or past it
+      if (fx*dx + fy*dy >= -1e-9 * (fx*fx + fy*fy)) return null;
+
+      var t = 0;
+      if (fx*fx + fy*fy > radius*radius) {
+        var roots = this.getSweptRoots(fx, fy, dx, dy, radius);
+        if (!roots || roots.t2 > 1) return null;
+        t = roots.t2;
+      }
+
+      // the normal points from the corner to the center at the moment of impact
+      var hx = fx + dx*t;
+      var hy = fy + dy*t;
+      var length = this.abcSquare(hx, hy) || 1;
+      return {time: t, nx: hx / length, ny: hy / length};
+    },
+    /**
+     * Bounce item off the obstacle it touches at this point. The restitution of
+     * the obstacle scales the speed away from it, its friction takes a part of
+     * the speed along it. Ends any curve shot, like updateForCollision does.
+     *
+     * @param {Item} item
+     * @param {Object} hit As returned by getObstacleIntersection
+     */
+    updateForObstacleCollision: function(item, hit){
+      var obstacle = hit.obstacle;
+      var speed = item.speed;
+
+      item.shotCurve = false;
+
+      // use the rest of this step to move away from the obstacle
+      item.unused = 1 - this.stepTime;
+
+      // split the velocity in a part towards the obstacle and a part along it
+      var vx = Math.cos(item.course) * item.speed;
+      var vy = Math.sin(item.course) * item.speed;
+      var normal = vx*hit.nx + vy*hit.ny;
+      var tx = (vx - normal*hit.nx) * (1 - obstacle.friction);
+      var ty = (vy - normal*hit.ny) * (1 - obstacle.friction);
+      vx = tx - normal * obstacle.restitution * hit.nx;
+      vy = ty - normal * obstacle.restitution * hit.ny;
+
+      item.course = Math.atan2(vy, vx);
+      item.speed = this.abcSquare(vx, vy);
+      item.clearCache();
+
+      this.emit('obstacleCollision', {
+        item: item,
+        obstacle: obstacle,
+        x: item.pos.x + item.radius - hit.nx * item.radius,
+        y: item.pos.y + item.radius - hit.ny * item.radius,
+        nx: hit.nx,
+        ny: hit.ny
+      });
+
+      this.emitIfStopped(item, speed);
+    },
+    /**
+     * Emit itemStopped for an item that had speed before a collision or a
+     * change of path, and has none now. Items that slow down gradually are
+     * stopped in applyPhysics instead.
+     *
+     * @param {Item} item
+     * @param {number} speed Speed of the item before
+     */
+    emitIfStopped: function(item, speed){
+      if (speed && !item.speed && !this.isThrusting(item)) this.emit('itemStopped', {item: item});
+    },
+    /**
+     * Apply speed and friction to every item, and let them spin.
+     * Return whether any stone is still moving or spinning.
+     */
+    applyPhysics: function(){
+      var movingStones = false;
+
+      // loop over a copy, itemStopped handlers may remove items
+      var items = this.items.slice();
+      items.forEach(function(item){
+        if (this.items.length < items.length && this.items.indexOf(item) < 0) return; // removed
+        if (item.disabled || item.type === 'static') return; // frozen
+
+        if (item.speed && item.unused) {
+
+          if (item.shotCurve !== false) {
+            var obj = this.getNextCurvePos(item);
+            item.setPos(obj.x, obj.y);
+
+//            new Circle(obj.x,obj.y,2).fill('black').addTo(stage);
+
+          } else {
+            item.setPos(
+              item.pos.x + Math.cos(item.course) * item.speed * item.unused,
+              item.pos.y + Math.sin(item.course) * item.speed * item.unused
+            );
+          }
+
+          item.shotTraveled += item.speed;
+
+          // update course AFTER updating shotTraveled (if still in initial curve shot)
+          if (item.shotCurve !== false) {
+            item.course = this.getCourseToNextPositionOnCurve(item);
+          }
+
+          if (this.config.drawCurveCourse && this.getRenderer()) {
+            var pos = this.getNextPos(item);
+            this.renderer.line(
+              item.pos.x+item.radius, item.pos.y+item.radius,
+              pos.x+item.radius, pos.y+item.radius,
+              {color:'yellow', width:1, duration:2000, delay:3000, item:item}
+            );
+          }
+
+          if (this.config.drawPositionDots && this.getRenderer()) {
+            this.renderer.dot(item.pos.x+item.radius, item.pos.y+item.radius, 2, {color:'red', duration:4000, item:item});
+          }
+
+          // kinematic items keep their speed
+          if (item.type === 'dynamic') item.speed *= this.getFriction(item, item.pos.x+item.radius, item.pos.y+item.radius);
+          // an item under thrust is not stopping, however slow it goes
+          if (item.type === 'dynamic' && item.speed < this.config.stopSpeed && !this.isThrusting(item)) {
+            item.speed = 0;
+            this.emit('itemStopped', {item: item});
+          }
+
+          item.unused = 0; // reset
+        }
+
+        if (item.rotation) {
+          item.bearing = (item.bearing + item.rotation) % (Math.PI*2);
+          item.rotation *= item.spinFriction;
+          if (Math.abs(item.rotation) < this.config.stopSpin) item.rotation = 0;
+        }
+
+        if (this.isMoving(item)) movingStones = true;
+      },this);
+
+      return movingStones;
+    },
+    /**
+     * Is this item moving or spinning? An item that a force field is about
+     * to get moving, or that is under thrust (see isThrusting), counts as
+     * moving too.
+     *
+     * @param {Item} item
+     * @return {boolean}
+     */
+    isMoving: function(item){
+      if (item.disabled || item.type === 'static') return false;
+      if (item.speed || item.rotation) return true;
+      if (item.type === 'dynamic' && this.isThrusting(item)) return true;
+      if (!this.forceFields.length) return false;
+
+      var force = this.getFieldForce(item);
+      return this.abcSquare(force.x, force.y) >= this.config.stopSpeed;
+    },
+    /**
+     * Does this item still move in the rest of the current step?
+     *
+     * @param {Item} item
+     * @return {boolean}
+     */
+    movesThisStep: function(item){
+      return !!(item && item.speed && item.unused > 0 && !item.disabled && item.type !== 'static');
+    },
+    /**
+     * Add a sensor zone. Zones dont affect items, but fire events when items
+     * enter, leave or settle in them, and may capture items. See Physics.Zone.
+     *
+     * @param {Zone} zone
+     * @return {Zone} zone
+     */
+    addZone: function(zone){
+      if (this.zones.indexOf(zone) >= 0) console.warn('Zone already found!', zone);
+      else this.zones.push(zone);
+      return zone;
+    },
+    /**
+     * Remove a sensor zone
+     *
+     * @param {Zone} zone
+     */
+    removeZone: function(zone){
+      var pos = this.zones.indexOf(zone);
+      if (pos < 0) console.warn("Tried to remove a zone that was not found", zone);
+      else this.zones.splice(pos, 1);
+    },
+    /**
+     * Which items are in which zone? Typically asked when tick() returns false.
+     *
+     * @return {Object[]} List of {zone:Zone, items:Item[]}, one for every zone
+     */
+    queryZones: function(){
+      return this.zones.map(function(zone){
+        return {zone: zone, items: zone.items.slice(0)};
+      });
+    },
+    /**
+     * Get the center of every item, by uid
+     *
+     * @return {Object}
+     */
+    getCenters: function(){
+      var centers = {};
+      this.items.forEach(function(item){
+        centers[item.uid] = {x: item.pos.x + item.radius, y: item.pos.y + item.radius};
+      });
+      return centers;
+    },
+    /**
+     * Check every item against every zone, after the items moved this tick.
+     * Fires the zone events and captures items.
+     *
+     * @return {boolean} Was any item captured?
+     */
+    updateZones: function(){
+      var captured = false;
+
+      this.zones.forEach(function(zone){
+        // copy, captured items are removed along the way
+        this.items.slice(0).forEach(function(item){
+          if (item.ghost || (item.disabled && zone.items.indexOf(item) < 0)) return;
+
+          var start = this.tickStart && this.tickStart[item.uid];
+          var inside = zone.contains(item);
+          var was = zone.items.indexOf(item) >= 0;
+          // fast items can cross a zone within one tick
+          var crossed = !inside && !was && start && zone.crossedBy(item, start.x, start.y, this);
+
+          if ((inside || crossed) && !was) {
+            zone.items.push(item);
+            this.emit('zoneEnter', {zone: zone, item: item});
+          }
+
+          if (zone.capture && (inside || crossed) && !item.disabled && item.speed <= zone.captureSpeed) {
+            if (crossed) item.setPos(crossed.x - item.radius, crossed.y - item.radius);
+            this.captureItem(zone, item);
+            captured = true;
+            return;
+          }
+
+          if (!inside && (was || crossed)) {
+            zone.forget(item);
+            this.emit('zoneLeave', {zone: zone, item: item});
+          } else if (inside && !this.isMoving(item) && zone.settled.indexOf(item) < 0) {
+            zone.settled.push(item);
+            this.emit('zoneSettle', {zone: zone, item: item});
+          } else if (inside && this.isMoving(item) && zone.settled.indexOf(item) >= 0) {
+            zone.settled.splice(zone.settled.indexOf(item), 1);
+          }
+        },this);
+      },this);
+
+      return captured;
+    },
+    /**
+     * Let a zone capture an item. Depending on zone.capture, the item is
+     * removed from the world or frozen in place (disabled).
+     *
+     * @param {Zone} zone
+     * @param {Item} item
+     */
+    captureItem: function(zone, item){
+      var speed = item.speed;
+      item.speed = 0;
+      item.rotation = 0;
+      item.clearCache();
+
+      this.emit('zoneCapture', {zone: zone, item: item});
+      this.emitIfStopped(item, speed);
+
+      if (zone.capture === 'remove') {
+        this.removeItem(item);
+      } else {
+        item.disabled = true;
+        if (zone.settled.indexOf(item) < 0) zone.settled.push(item);
+      }
+    },
+    /**
+     * For debugging, check if any item overlaps with another item.
+     * If that's true, the system failed. Use config.strictOverlaps to
+     * have the engine check this every step.
+     *
+     * @return {boolean} Did any items overlap?
+     */
+    collisionCheck: function(){
+      var overlaps = this.findOverlaps();
+      overlaps.forEach(function(overlap){
+        console.warn("Phased :(", overlap.a, overlap.b, overlap.depth);
+      });
+      return overlaps.length > 0;
+    },
+    /**
+     * Find every pair of items that overlap (more than config.overlapSlop)
+     * and could collide.
+     *
+     * @return {Object[]} List of {a, b, depth, nx, ny} where n is the normal from a to b
+     */
+    findOverlaps: function(){
+      var overlaps = [];
+      var items = this.items;
+
+      var maxRadius = 0;
+      items.forEach(function(item){
+        if (item) maxRadius = Math.max(maxRadius, item.radius);
+      });
+
+      var grid = new SpatialHash(Math.max(1, maxRadius*2));
+      items.forEach(function(item, index){
+        if (item) grid.insert(index, item.pos.x, item.pos.y, item.pos.x + item.radius*2, item.pos.y + item.radius*2);
+      });
+
+      items.forEach(function(A, i){
+        if (!A) return;
+        grid.query(A.pos.x, A.pos.y, A.pos.x + A.radius*2, A.pos.y + A.radius*2).forEach(function(j){
+          var B = items[j];
+          // every pair only once
+          if (j <= i || !this.canCollide(A, B)) return;
+
+          var nx = (B.pos.x+B.radius) - (A.pos.x+A.radius);
+          var ny = (B.pos.y+B.radius) - (A.pos.y+A.radius);
+          var distance = this.abcSquare(nx, ny);
+          var depth = A.radius + B.radius - distance;
+          if (depth <= this.config.overlapSlop) return;
+
+          if (distance) {
+            nx /= distance;
+            ny /= distance;
+          } else {
+            // same center, any direction will do
+            nx = 1;
+            ny = 0;
+          }
+          overlaps.push({a: A, b: B, depth: depth, nx: nx, ny: ny});
+        },this);
+      },this);
+
+      return overlaps;
+    },
+    /**
+     * Push overlapping items apart by the depth of their overlap. The lighter
+     * item moves the most, static and kinematic items dont move at all. Only
+     * positions change, speeds are left alone, so no energy is added. Repeated
+     * config.overlapIterations times, for items that overlap more than one other.
+     * With config.strictOverlaps, overlaps are reported first.
+     */
+    resolveOverlaps: function(){
+      for (var iteration=0; iteration<this.config.overlapIterations; ++iteration) {
+        var overlaps = this.findOverlaps();
+        if (!overlaps.length) return;
+
+        // only report what went wrong during the step, not what we fix here
+        if (iteration === 0 && this.config.strictOverlaps) {
+          overlaps.forEach(function(overlap){
+            if (this.config.strictOverlaps === 'error') {
+              throw new Error('Items '+overlap.a.uid+' and '+overlap.b.uid+' overlap by '+overlap.depth+' at tick '+this.ticks);
+            }
+            this.emit('overlap', {a: overlap.a, b: overlap.b, depth: overlap.depth});
+          },this);
+        }
+        if (!this.config.resolveOverlaps) return;
+
+        overlaps.forEach(function(overlap){
+          var A = overlap.a;
+          var B = overlap.b;
+          var inverseA = 1 / this.getMass(A);
+          var inverseB = 1 / this.getMass(B);
+          var total = inverseA + inverseB;
+          if (!total) return;
+
+          var moveA = overlap.depth * inverseA / total;
+          var moveB = overlap.depth * inverseB / total;
+          // what one of them can not move because of a wall or obstacle, the other does
+          if (moveA) moveB += moveA - this.nudge(A, -overlap.nx * moveA, -overlap.ny * moveA);
+          if (moveB && inverseB) this.nudge(B, overlap.nx * moveB, overlap.ny * moveB);
+        },this);
+      }
+    },
+    /**
+     * Move item by dx,dy, but not through an obstacle or beyond the walls.
+     *
+     * @param {Item} item
+     * @param {number} dx
+     * @param {number} dy
+     * @return {number} The distance it was moved
+     */
+    nudge: function(item, dx, dy){
+      var distance = this.abcSquare(dx, dy);
+      var x = item.pos.x;
+      var y = item.pos.y;
+
+      var hit = this.obstacles.length && this.getObstacleHit(x + item.radius, y + item.radius, dx, dy, item.radius);
+      if (hit) {
+        dx *= hit.time;
+        dy *= hit.time;
+      }
+      item.setPos(x + dx, y + dy);
+      this.clampToBounds(item);
+
+      return Math.min(distance, this.abcSquare(item.pos.x - x, item.pos.y - y));
+    },
+
+    // ### queries ###
+    // these work with points on the board, the center of an item is at item.pos + radius
+
+    /**
+     * Get the items under a point, like the pointer. The item whose edge is
+     * furthest away (so the one it is most inside of) comes first.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {Function} [filter] Called as filter(item) for every item, return false to skip it
+     * @return {Item[]}
+     */
+    queryPoint: function(x, y, filter){
+      return this.queryCircle(x, y, 0, filter);
+    },
+    /**
+     * Get the items that are (partly) within radius of a point, closest first.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @param {Function} [filter] See queryPoint
+     * @return {Item[]}
+     */
+    queryCircle: function(x, y, radius, filter){
+      return this.getItemsByDistance(x, y, filter).filter(function(found){
+        return found.distance <= radius;
+      }).map(function(found){
+        return found.item;
+      });
+    },
+    /**
+     * Get the items that are (partly) inside a rectangle, in the order of this.items.
+     *
+     * @param {number} x Left
+     * @param {number} y Top
+     * @param {number} width
+     * @param {number} height
+     * @param {Function} [filter] See queryPoint
+     * @return {Item[]}
+     */
+    queryRect: function(x, y, width, height, filter){
+      return this.items.filter(function(item){
+        if (!item || (filter && filter(item) === false)) return false;
+
+        // the point of the rectangle closest to the center must be within the radius
+        var cx = item.pos.x + item.radius;
+        var cy = item.pos.y + item.radius;
+        var dx = cx - Math.max(x, Math.min(cx, x + width));
+        var dy = cy - Math.max(y, Math.min(cy, y + height));
+        return dx*dx + dy*dy <= item.radius*item.radius;
+      });
+    },
+    /**
+     * Get the k items closest to a point, by the distance to their edge.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [k] Default 1
+     * @param {Function} [filter] See queryPoint
+     * @return {Item[]}
+     */
+    nearest: function(x, y, k, filter){
+      return this.getItemsByDistance(x, y, filter).slice(0, k || 1).map(function(found){
+        return found.item;
+      });
+    },
+    /**
+     * Get every item with the distance from a point to its edge (negative when
+     * the point is inside it), closest first.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {Function} [filter] See queryPoint
+     * @return {Object[]} List of {item:Item, distance:number}
+     */
+    getItemsByDistance: function(x, y, filter){
+      var found = [];
+      this.items.forEach(function(item){
+        if (!item || (filter && filter(item) === false)) return;
+        var distance = this.abcSquare(item.pos.x + item.radius - x, item.pos.y + item.radius - y) - item.radius;
+        found.push({item: item, distance: distance});
+      },this);
+
+      return found.sort(function(a,b){
+        return a.distance - b.distance;
+      });
+    },
+    /**
+     * Find the first item along a line, like an aim line. Items the line starts
+     * in are ignored.
+     *
+     * @param {Object} origin {x:number,y:number}
+     * @param {number} direction (radians)
+     * @param {number} [maxDistance] Default Infinity
+     * @param {Function} [filter] See queryPoint
+     * @return {Object} {item:Item, distance:number, x:number, y:number, nx:number, ny:number} where x,y is the point hit and n the normal of the item there, or null
+     */
+    raycast: function(origin, direction, maxDistance, filter){
+      return this.castCircle(origin, 0, direction, maxDistance, filter);
+    },
+    /**
+     * Find the first item a circle would hit when it moves along a line, like
+     * raycast but with a width. Useful to see what a shot would hit first.
+     * Items the circle starts in are ignored.
+     *
+     * @param {Object} origin Center of the circle {x:number,y:number}
+     * @param {number} radius
+     * @param {number} direction (radians)
+     * @param {number} [maxDistance] Default Infinity
+     * @param {Function} [filter] See queryPoint
+     * @return {Object} {item:Item, distance:number, x:number, y:number, nx:number, ny:number} where distance is how far the circle moved, x,y the point hit and n the normal of the item there, or null
+     */
+    castCircle: function(origin, radius, direction, maxDistance, filter){
+      if (maxDistance === undefined) maxDistance = Infinity;
+
+      // with a direction of length 1, the roots of the swept test are distances
+      var dx = Math.cos(direction);
+      var dy = Math.sin(direction);
+
+      var first = null;
+      this.items.forEach(function(item){
+        if (!item || (filter && filter(item) === false)) return;
+
+        var fx = origin.x - (item.pos.x + item.radius);
+        var fy = origin.y - (item.pos.y + item.radius);
+        var roots = this.getSweptRoots(fx, fy, dx, dy, radius + item.radius);
+        // behind the origin means it starts inside the item
+        if (!roots || roots.t2 < 0 || roots.t2 > maxDistance) return;
+        if (!first || roots.t2 < first.distance) first = {item: item, distance: roots.t2};
+      },this);
+
+      if (!first) return null;
+
+      var item = first.item;
+      var cx = item.pos.x + item.radius;
+      var cy = item.pos.y + item.radius;
+      var nx = (origin.x + dx * first.distance - cx) / (radius + item.radius);
+      var ny = (origin.y + dy * first.distance - cy) / (radius + item.radius);
+
+      return {
+        item: item,
+        distance: first.distance,
+        x: cx + nx * item.radius,
+        y: cy + ny * item.radius,
+        nx: nx,
+        ny: ny
+      };
+    },
+
+    // ### lockstep ###
+
+    /**
+     * Round the state of item to config.precision. Math.sin, atan2 and such may
+     * differ in the last bit between browsers. In config.deterministic mode,
+     * rounding after every step keeps such differences from adding up, so every
+     * client that plays the same shots sees the same game. A difference can still
+     * (very rarely) round the other way; compare stateHash to find out.
+     *
+     * @param {Item} item
+     */
+    quantize: function(item){
+      var precision = this.config.precision;
+      var round = function(value){
+        return Math.round(value / precision) * precision;
+      };
+
+      item.setPos(round(item.pos.x), round(item.pos.y));
+      item.speed = round(item.speed);
+      item.course = round(item.course);
+      item.bearing = round(item.bearing);
+      item.rotation = round(item.rotation);
+      item.shotCourse = round(item.shotCourse);
+      item.shotOriginX = round(item.shotOriginX);
+      item.shotOriginY = round(item.shotOriginY);
+      item.shotDistance = round(item.shotDistance);
+      item.shotTraveled = round(item.shotTraveled);
+    },
+    /**
+     * Get a checksum of the state of the world, or of one item. Peers that play
+     * the same game should have the same hash after every tick. When they dont,
+     * compare the hash of every item to see which one went astray.
+     *
+     * @param {Item} [item]
+     * @return {string} 8 hex digits
+     */
+    stateHash: function(item){
+      // FNV-1a
+      var hash = 0x811c9dc5;
+      var items = item ? [item] : this.items;
+
+      if (!item) {
+        hash = this.hashNumber(hash, this.ticks);
+        hash = this.hashNumber(hash, items.length);
+      }
+      items.forEach(function(item){
+        [
+          item.pos.x, item.pos.y, item.speed, item.course, item.bearing, item.rotation,
+          item.shotCurve === false ? -2 : item.shotCurve, item.shotTraveled, item.disabled ? 1 : 0
+        ].forEach(function(value){
+          hash = this.hashNumber(hash, value);
+        },this);
+      },this);
+
+      return ('0000000' + hash.toString(16)).slice(-8);
+    },
+    /**
+     * Add the exact bits of a number to an FNV-1a hash
+     *
+     * @param {number} hash
+     * @param {number} value
+     * @return {number} The new hash
+     */
+    hashNumber: function(hash, value){
+      // 0 and -0 are the same state
+      hashFloat[0] = value === 0 ? 0 : value;
+      for (var i=0; i<2; ++i) {
+        hash ^= hashWords[i];
+        hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+        hash >>>= 0;
+      }
+      return hash;
+    },
+
+    // ### item math ###
+
+    /**
+     * Get the distance this item would travel this step if
+     * the current parameters would not change.
+     *
+     * @param {Item} item
+     * @return {number}
+     */
+    getStepDistance: function(item){
+      if (item.cache.stepDistance) return item.cache.stepDistance;
+
+      var stepDistance = item.speed;
+
+      if (item.shotCurve !== false) {
+        // distance is slightly more complex. luckily we already have to
+        // do most of that math anyways :)
+        var newpos = this.getNextCurvePos(item);
+        stepDistance = this.abcSquare(newpos.x - item.pos.x, newpos.y - item.pos.y);
+      }
+
+      return item.cache.stepDistance = stepDistance * item.unused;
+    },
+    /**
+     * Get the next position of an item as if it were following a curve.
+     *
+     * @param {Item} item
+     * @return {Object} {x:number,y:number}
+     */
+    getNextCurvePos: function(item){
+      if (item.cache.nextCurvePos) return item.cache.nextCurvePos;
+
+      return item.cache.nextCurvePos = this.getCurvePos(item, item.shotTraveled+item.speed, item.shotDistance);
+    },
+    /**
+     * Get the position on the curve of the current shot of item, after it
+     * traveled a given distance (over the straight line) out of a total distance.
+     *
+     * @param {Item} item
+     * @param {number} traveled
+     * @param {number} shotDistance
+     * @return {Object} {x:number,y:number}
+     */
+    getCurvePos: function(item, traveled, shotDistance){
+      // percentage of 90 degrees (not an angle or anything) at which we shot
+      // we use this number to cut down the y below (with that, the curve)
+      var curve = item.shotCurve;
+      // we will make the stone follow a "perfect" sine :)
+      // to get the current position we first need to get
+      // x, which is the current progress from origin to end.
+      var x = (traveled / shotDistance) * Math.PI;
+
+      // now get the height of the sine wave, or part of it anyways
+      // if you did not set a curve, curve will be 0
+      // if you maxed the curve, curve will be 1
+      // we multiply y to create a bigger curve
+
+      var y = Math.sin(x) * curve * this.config.curveAmplifier;
+      // now we get the angle that a line from the origin to the
+      // target position on the sine wave would make. we need that.
+
+      var alpha = Math.atan(y/x);
+      // to compute the real distance properly we first need the real y
+      var realY = (y/Math.PI) * shotDistance;
+      // now we can simply get the distance between xy1 and xy2
+      var curveStepDistance = this.abcSquare(traveled, realY);
+
+      return {
+        x: item.shotOriginX + (Math.cos(item.shotCourse - alpha) * curveStepDistance),
+        y: item.shotOriginY + (Math.sin(item.shotCourse - alpha) * curveStepDistance)
+      };
+    },
+    /**
+     * Get the next position of given item
+     *
+     * @param {Item} item
+     * @return {Object} {x:y}
+     */
+    getNextPos: function(item){
+      if (item.cache.nextPos) return item.cache.nextPos;
+
+      if (item.shotCurve === false) {
+        return item.cache.nextPos = {x:item.pos.x+Math.cos(item.course)*item.speed, y:item.pos.y+Math.sin(item.course)*item.speed};
+      } else {
+        return item.cache.nextPos = this.getNextCurvePos(item);
+      }
+    },
+    /**
+     * Get the progress of the current shot, normalized between 0 and pi.
+     *
+     * @return {number}
+     */
+    getShotProgressToPi: function(item){
+      return ((item.shotTraveled+item.speed) / item.shotDistance) * Math.PI;
+    },
+    /**
+     * Without changing anything, determine the course of the stone after this step.
+     *
+     * @param {Item} item
+     * @return {number} radians!
+     */
+    getCourseToNextPositionOnCurve: function(item){
+      var pos = this.getNextPos(item);
+      var newCourse = this.getCourse(item.pos.x+item.radius, item.pos.y+item.radius,pos.x+item.radius,pos.y+item.radius);
+      return newCourse;
+    },
+
+    // ### util math ###
+
+    /**
+     * Pythagorean theorem. Returns c=sqrt(a^2,b^2)
+     *
+     * @param {number} a
+     * @param {number} b
+     * @return {number}
+     */
+    abcSquare: function(a, b){
+      // Math.sqrt gives the same result everywhere, Math.pow does not
+      return Math.sqrt(a*a + b*b);
+    },
+    /**
+     * Return the distance between the center of two items, a and b.
+     *
+     * @param a
+     * @param b
+     */
+    distanceBetween: function(a,b){
+      return this.abcSquare((a.pos.x+a.radius)-(b.pos.x+b.radius), (a.pos.y+a.radius)-(b.pos.y+b.radius));
+    },
+    /**
+     * Get the moment at which circles A and B collide in the rest of this step,
+     * when both move in a straight line to the end of their step. Items that
+     * already touch (or overlap) and move towards each other collide right away.
+     *
+     * @param {Item} A
+     * @param {Item} B
+     * @return {number} time relative to the rest of the step (0 ~ 1), or -1 if they wont collide this step
+     */
+    getTimeOfImpact: function(A, B){
+      if (this.stats) ++this.stats.pairTests;
+
+      var stepDistanceA = this.movesThisStep(A) ? this.getStepDistance(A) : 0;
+      var stepDistanceB = this.movesThisStep(B) ? this.getStepDistance(B) : 0;
+
+      var combinedRadius = A.radius + B.radius;
+
+      // A and B are possibly both moving. change movement vector A
+      // as so that B seems stationary. result will still be a normalized
+      // number, relative to the original distance, so easy fix.
+      // http://www.gamasutra.com/view/feature/131424/pool_hall_lessons_fast_accurate_.php?page=2
+      // http://jsfiddle.net/68Rts/
+      var dx = Math.cos(A.course) * stepDistanceA - Math.cos(B.course) * stepDistanceB;
+      var dy = Math.sin(A.course) * stepDistanceA - Math.sin(B.course) * stepDistanceB;
+
+      // delta A-B
+      var fx = (A.pos.x + A.radius) - (B.pos.x + B.radius);
+      var fy = (A.pos.y + A.radius) - (B.pos.y + B.radius);
+
+      // not getting any closer, so no collision. this lets touching items part, or
+      // slide along each other without rounding errors turning that into a collision
+      if (fx*dx + fy*dy >= -1e-9 * (fx*fx + fy*fy)) return -1;
+      // touching already
+      if (fx*fx + fy*fy <= combinedRadius*combinedRadius) return 0;
+
+      // We will determine the intersection of the line A-AA with B with this algorithm:
+      // http://stackoverflow.com/questions/1073336/circle-line-collision-detection
+      // http://mathworld.wolfram.com/Circle-LineIntersection.html
+      var roots = this.getSweptRoots(fx, fy, dx, dy, combinedRadius);
+
+      // t2 is where A-AA enters the circle, beyond 1 is not this step
+      if (!roots || roots.t2 > 1) return -1;
+      return roots.t2;
+    },
+    /**
+     * Get the distance A moves before it collides with B in the rest of this step.
+     *
+     * @deprecated Use getTimeOfImpact. Kept for old callers.
+     * @param {Item} A
+     * @param {Item} B
+     * @return {number} distance forward when A collides to B, or -1 if that wont happen this step
+     */
+    getDistanceToIntersection: function(A, B){
+      var time = this.getTimeOfImpact(A, B);
+      return time < 0 ? -1 : time * this.getStepDistance(A);
+    },
+    /**
+     * Intersect the line A-AA with a circle around B, where f is the delta
+     * A-B and d the delta A-AA. Returns t1 and t2, normalized positions on
+     * A-AA where the line enters or exits the circle.
+     *
+     * @param {number} fx
+     * @param {number} fy
+     * @param {number} dx
+     * @param {number} dy
+     * @param {number} radius
+     * @return {Object} {t1:number,t2:number} or null if the line does not cross the circle
+     */
+    getSweptRoots: function(fx, fy, dx, dy, radius){
+      var a = (dx*dx+dy*dy);
+      var b = 2 * (fx*dx+fy*dy);
+      var c = (fx*fx+fy*fy) - (radius*radius);
+      var discriminant = (b*b)-(4*a*c);
+
+      // if discriminant = <0, there are no intersections of B on A-AA
+      // else if discriminant = 0, there is just one intersection of B on A-AA
+      // else A-AA enters and exits B
+      // we will only want to work with the last
+      // when A and B just touch each others at the edge, the discriminant will also be zero
+      if (discriminant <= 0) return null;
+
+      // get t1 and t2 to determine where on A-AA the collisions occur
+      discriminant = Math.sqrt(discriminant);
+      return {
+        t1: (-b + discriminant) / (2*a),
+        t2: (-b - discriminant) / (2*a)
+      };
+    },
+    /**
+     * Return the course of a line from point 1 to point 2
+     *
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @return {number} radians!
+     */
+    getCourse: function (x1,y1,x2,y2) {
+      return Math.atan2((y2-y1), (x2-x1)); // get course in radians
+    },
+    /**
+     * Return the angle between two angles
+     *
+     * @param {number} A radians!
+     * @param {number} B radians!
+     * @return {number} between -1 and 1, -1 means -90 degrees, 1 means 90 degrees
+     */
+    angleBetween: function(A,B){
+      return Math.cos((A-B)+(Math.PI/2));
+    },
+    /**
+     * Given initial speed, friction, and a stopping condition (see config
+     * for the latter two), determine the total distance that would be made
+     * on a straight line.
+     *
+     * @param {number} speed
+     * @param {number} friction
+     * @return {number}
+     */
+    distanceToTravel: function(speed, friction){
+      // sum = speed*(1-friction^(x+1)) / 1-friction
+      // log(friction^x) = log(config.stopSpeed/speed)
+      // x * log(friction) = log(config.stopSpeed/speed)
+      // x = log(config.stopSpeed/speed) / log(friction)
+
+      if (speed == 0) return 0;
+
+      // and this we can do :)
+      var x = Math.log(this.config.stopSpeed/speed) / Math.log(friction);
+
+      // now sum it up:
+      return (speed*(1-Math.pow(friction, x+1))) / (1-friction);
+    },
+    /**
+     * The reverse of distanceToTravel: the speed needed to travel given
+     * distance on a plain board.
+     *
+     * @param {number} distance
+     * @param {number} friction
+     * @return {number}
+     */
+    speedToTravel: function(distance, friction){
+      if (distance <= 0) return 0;
+
+      // friction^x = config.stopSpeed/speed, so the sum in distanceToTravel becomes
+      // distance = (speed - friction*config.stopSpeed) / (1-friction)
+      return distance * (1-friction) + friction * this.config.stopSpeed;
+    },
+    /**
+     * Total distance of the shot item was just pushed with, on a board with
+     * surfaces. The shot is played out step by step, exactly like applyPhysics
+     * would, with the friction of the surface under every step. Because the
+     * curve itself depends on the total distance, this is repeated until the
+     * distance no longer changes. Steps are discrete, so that may never happen
+     * exactly; the closest distance found is used.
+     *
+     * @param {Item} item With the shot* properties set
+     * @param {number} distance Distance on a plain board
+     * @return {number}
+     */
+    getShotDistanceOnSurfaces: function(item, distance){
+      var best = distance;
+      var bestError = Infinity;
+
+      for (var attempt=0; attempt<10; ++attempt) {
+        var traveled = this.getShotTraveledOnSurfaces(item, distance);
+        var error = Math.abs(traveled - distance);
+        if (error < bestError) {
+          best = distance;
+          bestError = error;
+        }
+        if (error < 1e-9) break;
+        distance = traveled;
+      }
+
+      return best;
+    },
+    /**
+     * Play out the shot of item on the surfaces, as if its total distance were
+     * the given distance. Returns the distance it would really travel.
+     *
+     * @param {Item} item With the shot* properties set
+     * @param {number} distance
+     * @return {number}
+     */
+    getShotTraveledOnSurfaces: function(item, distance){
+      var traveled = 0;
+      var speed = item.speed;
+      var steps = 0;
+      do {
+        var pos = this.getCurvePos(item, traveled + speed, distance);
+        traveled += speed;
+        speed *= this.getFriction(item, pos.x+item.radius, pos.y+item.radius);
+      } while (speed >= this.config.stopSpeed && ++steps < 10000); // an icy board may never stop
+
+      return traveled;
+    },
+    /**
+     * Get the friction for item at given point (its center). That's the friction
+     * of item, changed by the surface (if any) at that point.
+     *
+     * @param {Item} item
+     * @param {number} x
+     * @param {number} y
+     * @return {number}
+     */
+    getFriction: function(item, x, y){
+      // the last added surface is on top
+      for (var i=this.surfaces.length-1; i>=0; --i) {
+        var surface = this.surfaces[i];
+        if (surface.contains(x, y)) {
+          // the multiplier is for the speed lost, not the speed kept
+          return Math.max(0, Math.min(1, 1 - (1 - item.friction) * surface.friction));
+        }
+      }
+      return item.friction;
+    },
+    /**
+     * Add a surface: a region of the board with a different friction,
+     * like an ice patch or rough carpet. See Physics.Surface.
+     *
+     * @param {Surface} surface
+     * @return {Surface} surface
+     */
+    addSurface: function(surface){
+      if (this.surfaces.indexOf(surface) >= 0) console.warn('Surface already found!', surface);
+      else this.surfaces.push(surface);
+      return surface;
+    },
+    /**
+     * Remove a surface
+     *
+     * @param {Surface} surface
+     */
+    removeSurface: function(surface){
+      var pos = this.surfaces.indexOf(surface);
+      if (pos < 0) console.warn("Tried to remove a surface that was not found", surface);
+      else this.surfaces.splice(pos, 1);
+    },
+    /**
+     * Add a force field: gravity on a slope, wind, an attractor or a vortex.
+     * See Physics.ForceField.
+     *
+     * @param {ForceField} field
+     * @return {ForceField} field
+     */
+    addForceField: function(field){
+      if (this.forceFields.indexOf(field) >= 0) console.warn('Force field already found!', field);
+      else this.forceFields.push(field);
+      return field;
+    },
+    /**
+     * Remove a force field
+     *
+     * @param {ForceField} field
+     */
+    removeForceField: function(field){
+      var pos = this.forceFields.indexOf(field);
+      if (pos < 0) console.warn("Tried to remove a force field that was not found", field);
+      else this.forceFields.splice(pos, 1);
+    },
+    /**
+     * Add an obstacle: a static line or polygon, like a rail, a divider or an
+     * L-shaped wall. See Physics.Obstacle.
+     *
+     * @param {Obstacle} obstacle
+     * @return {Obstacle} obstacle
+     */
+    addObstacle: function(obstacle){
+      if (this.obstacles.indexOf(obstacle) >= 0) console.warn('Obstacle already found!', obstacle);
+      else this.obstacles.push(obstacle);
+      return obstacle;
+    },
+    /**
+     * Remove an obstacle
+     *
+     * @param {Obstacle} obstacle
+     */
+    removeObstacle: function(obstacle){
+      var pos = this.obstacles.indexOf(obstacle);
+      if (pos < 0) console.warn("Tried to remove an obstacle that was not found", obstacle);
+      else this.obstacles.splice(pos, 1);
+    },
+    /**
+     * Get the sum of the force fields on item, as the velocity they add this tick.
+     * Only dynamic items are affected, unless they have ignoreForces set.
+     *
+     * @param {Item} item
+     * @return {Object} {x:number,y:number}
+     */
+    getFieldForce: function(item){
+      var force = {x: 0, y: 0};
+      if (item.ignoreForces || item.disabled || item.type !== 'dynamic') return force;
+
+      var x = item.pos.x + item.radius;
+      var y = item.pos.y + item.radius;
+      this.forceFields.forEach(function(field){
+        var f = field.getForce(x, y);
+        force.x += f.x;
+        force.y += f.y;
+      });
+      return force;
+    },
+    /**
+     * Let the force fields change the course and speed of every item, for this
+     * tick. This ends the curve shot of an item. A force too weak to get an item
+     * moving (below config.stopSpeed) leaves it alone.
+     */
+    applyForceFields: function(){
+      if (!this.forceFields.length) return;
+
+      this.items.forEach(function(item){
+        var force = this.getFieldForce(item);
+        if (!force.x && !force.y) return;
+        if (!item.speed && this.abcSquare(force.x, force.y) < this.config.stopSpeed) return;
+
+        var vx = Math.cos(item.course) * item.speed + force.x;
+        var vy = Math.sin(item.course) * item.speed + force.y;
+        item.course = Math.atan2(vy, vx);
+        item.speed = Math.min(this.abcSquare(vx, vy), this.config.maxSpeed);
+        item.shotCurve = false;
+        item.clearCache();
+      },this);
+    },
+    /**
+     * Let the force (see applyForce) and steering (see setVelocity) of every
+     * item change its course and speed, for this tick. This ends the curve
+     * shot of an item.
+     */
+    applyThrust: function(){
+      this.items.forEach(function(item){
+        if (item.disabled || item.type !== 'dynamic') return;
+        if (!item.force && !item.targetVelocity) return;
+
+        if (item.force) {
+          var mass = this.getMass(item);
+          var vx = item.force.x / mass;
+          var vy = item.force.y / mass;
+          var thrust = this.abcSquare(vx, vy);
+          if (item.maxThrust && thrust > item.maxThrust) {
+            vx *= item.maxThrust / thrust;
+            vy *= item.maxThrust / thrust;
+          }
+          this.addVelocity(item, vx, vy);
+        }
+        if (item.targetVelocity) this.steer(item);
+
+        this.endShot(item);
+      },this);
+    },
+    /**
+     * Turn item towards its targetVelocity and change its speed, within its
+     * maxTurn and maxThrust. The target is kept, so the item keeps making up
+     * for friction until setVelocity changes it.
+     *
+     * @param {Item} item
+     */
+    steer: function(item){
+      var target = item.targetVelocity;
+      var speed = Math.min(this.abcSquare(target.x, target.y), this.config.maxSpeed);
+      // standing still, any course will do
+      var course = speed ? Math.atan2(target.y, target.x) : item.course;
+
+      // take the short way around
+      var turn = (course - item.course) % (Math.PI*2);
+      if (turn > Math.PI) turn -= Math.PI*2;
+      else if (turn < -Math.PI) turn += Math.PI*2;
+      if (!item.speed) turn = 0;
+      var change = speed - item.speed;
+
+      if (item.maxTurn && Math.abs(turn) > item.maxTurn) turn = turn > 0 ? item.maxTurn : -item.maxTurn;
+      if (item.maxThrust && Math.abs(change) > item.maxThrust) change = change > 0 ? item.maxThrust : -item.maxThrust;
+
+      var before = item.speed;
+      item.course = item.speed ? item.course + turn : course;
+      item.speed += change;
+      this.emitIfStopped(item, before);
+    },
+    /**
+     * Connect two items, or an item and a fixed point, with a rope, rod or
+     * spring. See Physics.Joint. Without a length, the joint keeps the current
+     * distance between them.
+     *
+     * @param {Joint} joint
+     * @return {Joint} joint
+     */
+    addJoint: function(joint){
+      if (this.joints.indexOf(joint) >= 0) {
+        console.warn('Joint already found!', joint);
+      } else {
+        if (joint.length === null) joint.length = this.getJointDistance(joint);
+        this.joints.push(joint);
+      }
+      return joint;
+    },
+    /**
+     * Remove a joint
+     *
+     * @param {Joint} joint
+     */
+    removeJoint: function(joint){
+      var pos = this.joints.indexOf(joint);
+      if (pos < 0) console.warn("Tried to remove a joint that was not found", joint);
+      else this.joints.splice(pos, 1);
+    },
+    /**
+     * Get the distance between the ends of a joint
+     *
+     * @param {Joint} joint
+     * @return {number}
+     */
+    getJointDistance: function(joint){
+      var end = joint.b ? {x: joint.b.pos.x + joint.b.radius, y: joint.b.pos.y + joint.b.radius} : joint.anchor;
+      return this.abcSquare(end.x - (joint.a.pos.x + joint.a.radius), end.y - (joint.a.pos.y + joint.a.radius));
+    },
+    /**
+     * Let the joints change the course and speed of the items they connect, so
+     * that the next step takes them back to the length of each joint. Items are
+     * not moved here, so the collision checks of the next step still apply.
+     * A joint stretched beyond its breakLength breaks. Ends any curve shot of
+     * an item that gets a new speed.
+     *
+     * @return {boolean} Did any item get a new speed?
+     */
+    solveJoints: function(){
+      var changed = false;
+
+      this.joints.slice(0).forEach(function(joint){
+        var A = joint.a;
+        var B = joint.b;
+        var distance = this.getJointDistance(joint);
+
+        if (joint.breakLength && distance > joint.breakLength) {
+          this.removeJoint(joint);
+          this.emit('jointBroken', {joint: joint, a: A, b: B, distance: distance});
+          return;
+        }
+        // right on top of each other, there is no direction to pull in
+        if (!distance) return;
+
+        // static, kinematic and disabled items and anchors dont give in
+        var inverseA = A.disabled ? 0 : 1 / this.getMass(A);
+        var inverseB = B && !B.disabled ? 1 / this.getMass(B) : 0;
+        var total = inverseA + inverseB;
+        if (!total) return;
+
+        // direction from A to B
+        var end = B ? {x: B.pos.x + B.radius, y: B.pos.y + B.radius} : joint.anchor;
+        var nx = (end.x - (A.pos.x + A.radius)) / distance;
+        var ny = (end.y - (A.pos.y + A.radius)) / distance;
+
+        // speed at which the ends move apart
+        var separating = -(Math.cos(A.course) * A.speed * nx + Math.sin(A.course) * A.speed * ny);
+        if (B) separating += Math.cos(B.course) * B.speed * nx + Math.sin(B.course) * B.speed * ny;
+        var stretch = distance - joint.length;
+
+        // the change of that speed that gets the joint back to its length next step
+        var change = 0;
+        if (joint.type === 'spring') change = -stretch * joint.stiffness - separating * joint.damping;
+        else if (joint.type === 'rod' || stretch + separating > 0) change = -stretch - separating;
+        // a rope only pulls when it would end up longer than its length
+        if (Math.abs(change) < this.config.stopSpeed) return;
+
+        // split the change by mass, A goes against the direction
+        [[A, -inverseA / total], [B, inverseB / total]].forEach(function(pair){
+          var item = pair[0];
+          var share = pair[1];
+          if (!item || !share) return;
+          this.addVelocity(item, nx * change * share, ny * change * share);
+          item.speed = Math.min(item.speed, this.config.maxSpeed);
+          item.shotCurve = false;
+          item.clearCache();
+          changed = true;
+        },this);
+      },this);
+
+      return changed;
+    },
+    /**
+     * Determine xy of intersection between two 2d lines A-AA and B-BB
+     *
+     * @param {number} ax
+     * @param {number} ay
+     * @param {number} aax
+     * @param {number} aay
+     * @param {number} bx
+     * @param {number} by
      * @param {number} bbx
      * @param {number} bby
      * @return {Object} Returns {x:number,y:number} or null if not intersecting
      */
-    lineIntersection: function(ax, ay, aax, aay, bx, by, bbx, bby){
-      // http://stackoverflow.com/questions/563198/how-do-you-detect-where-two-line-segments-intersect#answer-1968345
-      // my demo: http://jsfiddle.net/m7t6y/
-      var sax = aax - ax;
-      var say = aay - ay;
-      var sbx = bbx - bx;
-      var sby = bby - by;
+    lineIntersection: function(ax, ay, aax, aay, bx, by, bbx, bby){
+      // http://stackoverflow.com/questions/563198/how-do-you-detect-where-two-line-segments-intersect#answer-1968345
+      // my demo: http://jsfiddle.net/m7t6y/
+      var sax = aax - ax;
+      var say = aay - ay;
+      var sbx = bbx - bx;
+      var sby = bby - by;
+
+      var s = (-say * (ax - bx) + sax * (ay - by)) / (-sbx * say + sax * sby);
+      var t = ( sbx * (ay - by) - sby * (ax - bx)) / (-sbx * say + sax * sby);
+
+      if (s >= 0 && s <= 1 && t >= 0 && t <= 1) {
+        var x = ax + (t*sax);
+        var y = ay + (t*say);
+
+        return {x:x, y:y};
+      }
+
+      return null;
+    },
+  };
+
+  var Item = (function(){
+
+    var uidCounter = 0;
+
+    // properties that make up the state of an item, see toJSON
+    var fields = [
+      'type', 'radius', 'power', 'mass', 'density', 'restitution', 'boost', 'friction', 'path',
+      'disabled', 'ghost', 'category', 'mask', 'unused', 'ignoreForces',
+      'force', 'targetVelocity', 'maxThrust', 'maxTurn',
+      'speed', 'course', 'bearing', 'rotation', 'spinFriction', 'grip',
+      'shotCourse', 'shotCurve', 'shotOriginX', 'shotOriginY', 'shotDistance', 'shotTraveled',
+      'prevPos', 'prevBearing'
+    ];
+
+    /**
+     * Abstract interface class for the physics engine.
+     * Defines some properties used by the engine.
+     *
+     * @constructor
+     * @param {Object} bs The bonsai object that represents this circle
+     * @param x
+     * @param y
+     * @param radius
+     * @param power
+     */
+    function Item(bs,x,y, radius,power){
+      this.uid = 'i_' + (++uidCounter);
+      this.bs = bs;
+      this.pos = {x:x,y:y};
+      this.radius = radius;
+      this.power = power;
+      this.cache = {};
+    }
+    Item.prototype = {
+      // the shot* variables are only used while the stone has not collided yet
+      // in code, all the shot variables are ignored when shotCurve === false
+
+      uid: '', // unique for each item, matches items in snapshots, replays, predictions and worker messages
+      bs: null, // bonsai element
+      cache: null, // computational cache
+
+      shotCourse: 0, // straight course in which this stone was released
+      shotCurve: false, // -1 ~ 1, shot curve modifier
+      shotOriginX: 0,
+      shotOriginY: 0,
+      shotDistance: 0, // distance of current shot if not colliding
+      shotTraveled: 0, // distance traveled in current shot
+
+      pos: null, // {x,y}
+      speed: 0,
+      course: 0, // in which direction are we moving?
+      radius: 0,
+      bearing: 0, // current direction of the top of the stone. the stone's rotation affects this value.
+      rotation: 0, // amount of spin per tick (radians), subject to spinFriction
+      spinFriction: 0.95, // slowdown factor of the rotation
+      grip: 0, // friction between the surfaces of two colliding items, transfers spin. 0 (the default) disables it, both items need it.
+      disabled: false, // cant be used. frozen in place and ignored in collision detection
+      ghost: false, // ignored in collision detection system, moves through other items (but not through walls)
+      category: 1, // collision layer(s) of this item, bitfield
+      mask: 0xFFFF, // layers this item collides with, bitfield
+      ignoreForces: false, // not pushed around by force fields, see Physics#addForceField
+      force: null, // {x,y} pushing this item every step, see Physics#applyForce
+      targetVelocity: null, // {x,y} this item steers towards, see Physics#setVelocity
+      maxThrust: 0, // most speed gained or lost per tick by force or steering, 0 for no limit
+      maxTurn: 0, // most course change per tick by steering (radians), 0 for no limit
+      unused: -1, // amount of movement left in current step
+      friction: 0.9, // slowdown factor
+      type: 'dynamic', // 'dynamic' moves freely, 'static' never moves, 'kinematic' is only moved by script (see Physics#setPath)
+      boost: 0, // speed added to items that bounce off this static or kinematic item (bumpers)
+      path: null, // path of a kinematic item, see Physics#setPath
+      prevPos: null, // {x,y} before the last step, only kept when ticking with config.timestep
+      prevBearing: 0,
+      mass: 0, // mass for the impulse collision response, 0 derives it from density or power
+      density: 0, // mass per area, used when mass is 0
+      restitution: 1, // bounciness in the impulse collision response, 0 ~ 1
+
+      setPos: function(x,y){
+        this.pos.x = x;
+        this.pos.y = y;
+
+        this.clearCache();
+      }, // updates this.pos
+
+      clearCache: function(){
+        for (var key in this.cache) delete this.cache[key];
+      }, // call after changing speed or course outside of the engine
+
+      /**
+       * Create a copy of this item, with the same state, uid and display
+       * object. Custom properties (like a team) are copied too, shallowly.
+       *
+       * @return {Item}
+       */
+      clone: function(){
+        var copy = Item.fromJSON(this.toJSON(), this.bs);
+        for (var key in this) {
+          if (this.hasOwnProperty(key) && !copy.hasOwnProperty(key)) copy[key] = this[key];
+        }
+        return copy;
+      },
+      /**
+       * Get the state of this item as a plain object, so it can be stored
+       * as JSON. The display object (bs) is not part of it.
+       *
+       * @return {Object}
+       */
+      toJSON: function(){
+        var data = {uid: this.uid, x: this.pos.x, y: this.pos.y};
+        fields.forEach(function(key){
+          // copy objects like path, so the state does not change along with the item
+          data[key] = this[key] && typeof this[key] === 'object' ? JSON.parse(JSON.stringify(this[key])) : this[key];
+        },this);
+        // the next step starts from positions cached during the last one
+        data.cache = JSON.parse(JSON.stringify(this.cache));
+        return data;
+      },
+      /**
+       * Set the state of this item to the state of an earlier toJSON.
+       *
+       * @param {Object} data
+       */
+      load: function(data){
+        fields.forEach(function(key){
+          if (key in data) this[key] = data[key] && typeof data[key] === 'object' ? JSON.parse(JSON.stringify(data[key])) : data[key];
+        },this);
+        this.setPos(data.x, data.y);
+        if (data.cache) this.cache = JSON.parse(JSON.stringify(data.cache));
+      },
+
+    };
+
+    /**
+     * Create a new item from the state of an earlier toJSON, with the same uid.
+     *
+     * @param {Object} data
+     * @param {Object} [bs] The bonsai object that represents this circle
+     * @return {Item}
+     */
+    Item.fromJSON = function(data, bs){
+      var item = new Item(bs || null, data.x, data.y, data.radius, data.power);
+      item.load(data);
+      if (data.uid) {
+        item.uid = data.uid;
+        // new items must not get a uid that is already taken
+        var match = /^i_(\d+)$/.exec(data.uid);
+        if (match && +match[1] > uidCounter) uidCounter = +match[1];
+      }
+      return item;
+    };
+
+    return Item;
+
+  })();
+
+  Physics.Item = Item;
+
+  var SpatialHash = (function(){
+
+    /**
+     * Uniform grid broadphase. Entries are stored in every cell their box
+     * covers, a query returns every entry in the cells a box covers.
+     *
+     * @constructor
+     * @param {number} cellSize
+     */
+    function SpatialHash(cellSize){
+      this.cellSize = cellSize;
+      this.cells = {};
+    }
+    SpatialHash.prototype = {
+      cellSize: 0,
+      cells: null, // "x,y" to list of entries
+
+      /**
+       * @param {number} entry Index of the item in physics.items
+       * @param {number} minX
+       * @param {number} minY
+       * @param {number} maxX
+       * @param {number} maxY
+       */
+      insert: function(entry, minX, minY, maxX, maxY){
+        this.forCells(minX, minY, maxX, maxY, function(key){
+          if (!this.cells[key]) this.cells[key] = [];
+          this.cells[key].push(entry);
+        });
+      },
+      /**
+       * @param {number} minX
+       * @param {number} minY
+       * @param {number} maxX
+       * @param {number} maxY
+       * @return {number[]} Unique entries in the cells covered by the box, sorted ascending
+       */
+      query: function(minX, minY, maxX, maxY){
+        var found = [];
+        this.forCells(minX, minY, maxX, maxY, function(key){
+          var cell = this.cells[key];
+          if (cell) cell.forEach(function(entry){
+            if (found.indexOf(entry) < 0) found.push(entry);
+          });
+        });
+        return found.sort(function(a,b){ return a - b; });
+      },
+      forCells: function(minX, minY, maxX, maxY, callback){
+        var x1 = Math.floor(minX / this.cellSize);
+        var y1 = Math.floor(minY / this.cellSize);
+        var x2 = Math.floor(maxX / this.cellSize);
+        var y2 = Math.floor(maxY / this.cellSize);
+        for (var x=x1; x<=x2; ++x) {
+          for (var y=y1; y<=y2; ++y) {
+            callback.call(this, x+','+y);
+          }
+        }
+      },
+    };
+
+    return SpatialHash;
+
+  })();
+
+  var Zone = (function(){
+
+    /**
+     * Sensor zone: a region of the board that detects items, like a hole,
+     * a pocket or a scoring ring. Add it to an engine with Physics#addZone.
+     *
+     * @constructor
+     * @param {Object} options
+     * @param {string} [options.id]
+     * @param {string} [options.shape] 'circle' (default) or 'ring'
+     * @param {number} options.x Center, in the same space as item.pos
+     * @param {number} options.y
+     * @param {number} options.radius
+     * @param {number} [options.innerRadius] Inner radius of a ring
+     * @param {string} [options.detect] 'center' (default) counts an item when its center is in the zone, 'footprint' when any part of it is
+     * @param {string} [options.capture] 'remove' or 'freeze' to capture items, null (default) to only detect them
+     * @param {number} [options.captureSpeed] Only capture items slower than this, default Infinity
+     */
+    function Zone(options){
+      for (var key in options) this[key] = options[key];
+      this.items = [];
+      this.settled = [];
+    }
+    Zone.prototype = {
+      id: '',
+      shape: 'circle',
+      x: 0,
+      y: 0,
+      radius: 0,
+      innerRadius: 0,
+      detect: 'center',
+      capture: null,
+      captureSpeed: Infinity,
+
+      items: null, // items currently in this zone
+      settled: null, // items that came to rest in this zone
+
+      /**
+       * Is the item currently in this zone?
+       *
+       * @param {Item} item
+       * @return {boolean}
+       */
+      contains: function(item){
+        var dx = item.pos.x + item.radius - this.x;
+        var dy = item.pos.y + item.radius - this.y;
+        var distance = Math.sqrt(dx*dx + dy*dy);
+        // with footprint, touching the zone is enough
+        var margin = this.detect === 'footprint' ? item.radius : 0;
+
+        if (distance > this.radius + margin) return false;
+        if (this.shape === 'ring' && distance < this.innerRadius - margin) return false;
+        return true;
+      },
+      /**
+       * Did the item cross this (circle) zone on a straight line from given
+       * center to where it is now? Used for items that move through a zone
+       * within one tick.
+       *
+       * @param {Item} item
+       * @param {number} x Center at the start of the tick
+       * @param {number} y
+       * @param {Physics} physics
+       * @return {Object} {x:number,y:number} center where the item entered the zone, or null
+       */
+      crossedBy: function(item, x, y, physics){
+        if (this.shape !== 'circle') return null;
+
+        var dx = item.pos.x + item.radius - x;
+        var dy = item.pos.y + item.radius - y;
+        var margin = this.detect === 'footprint' ? item.radius : 0;
+        var roots = physics.getSweptRoots(x - this.x, y - this.y, dx, dy, this.radius + margin);
+        if (!roots) return null;
+
+        var t = Math.min(roots.t1, roots.t2);
+        if (t < 0 || t > 1) return null;
+        return {x: x + dx*t, y: y + dy*t};
+      },
+      /**
+       * Drop the item from the bookkeeping of this zone
+       *
+       * @param {Item} item
+       */
+      forget: function(item){
+        var pos = this.items.indexOf(item);
+        if (pos >= 0) this.items.splice(pos, 1);
+        pos = this.settled.indexOf(item);
+        if (pos >= 0) this.settled.splice(pos, 1);
+      },
+    };
+
+    return Zone;
+
+  })();
+
+  Physics.Zone = Zone;
+
+  var Surface = (function(){
+
+    /**
+     * Region of the board with a different friction. Add it to an engine with
+     * Physics#addSurface. The friction of the surface is a multiplier for the
+     * speed an item loses every tick: 2 is twice as rough, 0.5 is slippery and
+     * 0 is frictionless.
+     *
+     * @constructor
+     * @param {Object} options
+     * @param {string} [options.shape] 'circle' (default) or 'polygon'
+     * @param {number} [options.x] Center of a circle, in the same space as item.pos
+     * @param {number} [options.y]
+     * @param {number} [options.radius]
+     * @param {Object[]} [options.points] Corners of a polygon, list of {x:number,y:number}
+     * @param {number} options.friction
+     */
+    function Surface(options){
+      for (var key in options) this[key] = options[key];
+    }
+    Surface.prototype = {
+      shape: 'circle',
+      x: 0,
+      y: 0,
+      radius: 0,
+      points: null,
+      friction: 1,
 
-      var s = (-say * (ax - bx) + sax * (ay - by)) / (-sbx * say + sax * sby);
-      var t = ( sbx * (ay - by) - sby * (ax - bx)) / (-sbx * say + sax * sby);
+      /**
+       * Is the point on this surface?
+       *
+       * @param {number} x
+       * @param {number} y
+       * @return {boolean}
+       */
+      contains: function(x, y){
+        if (this.shape !== 'polygon') {
+          var dx = x - this.x;
+          var dy = y - this.y;
+          return dx*dx + dy*dy <= this.radius*this.radius;
+        }
 
-      if (s >= 0 && s <= 1 && t >= 0 && t <= 1) {
-        var x = ax + (t*sax);
-        var y = ay + (t*say);
+        // cast a ray to the right and count the edges it crosses
+        var inside = false;
+        var points = this.points;
+        for (var i=0, j=points.length-1; i<points.length; j=i++) {
+          var a = points[i];
+          var b = points[j];
+          if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        }
+        return inside;
+      },
+    };
 
-        return {x:x, y:y};
+    return Surface;
+
+  })();
+
+  Physics.Surface = Surface;
+
+  var ForceField = (function(){
+
+    /**
+     * Force that pushes items around, like a slope, wind, a magnet or a
+     * whirlpool. Add it to an engine with Physics#addForceField. The strength
+     * is the speed it adds to an item every tick.
+     * - 'uniform' pushes every item the same way, along course
+     * - 'point' pulls items towards x,y, or pushes them away with a negative strength
+     * - 'vortex' pushes items around x,y, in the direction of increasing angles
+     *   (clockwise with y pointing down), or the other way with a negative strength
+     *
+     * @constructor
+     * @param {Object} options
+     * @param {string} [options.type] 'uniform' (default), 'point' or 'vortex'
+     * @param {number} options.strength
+     * @param {number} [options.course] Direction of a uniform field (radians)
+     * @param {number} [options.x] Center, in the same space as item.pos
+     * @param {number} [options.y]
+     * @param {number} [options.radius] Reach of the field around x,y, 0 (default) for the whole board
+     * @param {string} [options.falloff] How a point or vortex field weakens with distance: 'none' (default), 'linear' (to nothing at radius) or 'square' (inverse square)
+     * @param {number} [options.near] Distance up to which a 'square' field has its full strength, default 10
+     */
+    function ForceField(options){
+      for (var key in options) this[key] = options[key];
+    }
+    ForceField.prototype = {
+      type: 'uniform',
+      strength: 0,
+      course: 0,
+      x: 0,
+      y: 0,
+      radius: 0,
+      falloff: 'none',
+      near: 10,
+
+      /**
+       * Get the force of this field on an item with its center at x,y.
+       *
+       * @param {number} x
+       * @param {number} y
+       * @return {Object} {x:number,y:number}
+       */
+      getForce: function(x, y){
+        var dx = this.x - x;
+        var dy = this.y - y;
+        var distance = Math.sqrt(dx*dx + dy*dy);
+        if (this.radius && distance > this.radius) return {x: 0, y: 0};
+
+        if (this.type === 'uniform') {
+          return {x: Math.cos(this.course) * this.strength, y: Math.sin(this.course) * this.strength};
+        }
+
+        // right at the center there is no direction to push in
+        if (!distance) return {x: 0, y: 0};
+
+        var strength = this.strength;
+        if (this.falloff === 'linear' && this.radius) strength *= 1 - distance / this.radius;
+        else if (this.falloff === 'square') strength *= Math.min(1, (this.near*this.near) / (distance*distance));
+
+        // towards the center, or a quarter turn from that for a vortex
+        var nx = dx / distance;
+        var ny = dy / distance;
+        if (this.type === 'vortex') return {x: ny * strength, y: -nx * strength};
+        return {x: nx * strength, y: ny * strength};
+      },
+    };
+
+    return ForceField;
+
+  })();
+
+  Physics.ForceField = ForceField;
+
+  var Obstacle = (function(){
+
+    /**
+     * Static line or polygon that items bounce off, like a rail, a divider or
+     * an L-shaped wall. Add it to an engine with Physics#addObstacle. Like the
+     * walls of the board, obstacles only stop dynamic items.
+     *
+     * @constructor
+     * @param {Object} options
+     * @param {string} [options.shape] 'line' (default) for a line through the points, 'polygon' to close it
+     * @param {Object[]} options.points List of {x:number,y:number}, in the same space as item.pos
+     * @param {number} [options.restitution] Part of the speed towards the obstacle an item keeps when it bounces off, default 1
+     * @param {number} [options.friction] Part of the speed along the obstacle an item loses when it hits it, default 0
+     */
+    function Obstacle(options){
+      for (var key in options) this[key] = options[key];
+    }
+    Obstacle.prototype = {
+      shape: 'line',
+      points: null,
+      restitution: 1,
+      friction: 0,
+
+      /**
+       * Get the edges of this obstacle
+       *
+       * @return {Object[][]} List of [a, b] where a and b are points
+       */
+      getEdges: function(){
+        var points = this.points;
+        var edges = [];
+        for (var i=1; i<points.length; ++i) edges.push([points[i-1], points[i]]);
+        if (this.shape === 'polygon' && points.length > 2) edges.push([points[points.length-1], points[0]]);
+        return edges;
+      },
+      /**
+       * Get the bounding box of this obstacle
+       *
+       * @return {number[]} [minX, minY, maxX, maxY]
+       */
+      getBox: function(){
+        var box = [Infinity, Infinity, -Infinity, -Infinity];
+        this.points.forEach(function(point){
+          box[0] = Math.min(box[0], point.x);
+          box[1] = Math.min(box[1], point.y);
+          box[2] = Math.max(box[2], point.x);
+          box[3] = Math.max(box[3], point.y);
+        });
+        return box;
+      },
+    };
+
+    return Obstacle;
+
+  })();
+
+  Physics.Obstacle = Obstacle;
+
+  var Joint = (function(){
+
+    /**
+     * Connection between two items, or between an item and a fixed point. Add
+     * it to an engine with Physics#addJoint.
+     * - 'rope' keeps them from getting further apart than length
+     * - 'rod' keeps them at length
+     * - 'spring' pulls them together, or pushes them apart, towards length
+     *
+     * @constructor
+     * @param {Object} options
+     * @param {string} [options.id]
+     * @param {string} [options.type] 'rope' (default), 'rod' or 'spring'
+     * @param {Item} options.a
+     * @param {Item} [options.b] The other item, or null for a fixed point
+     * @param {Object} [options.anchor] The fixed point {x:number,y:number} when there is no b, in the same space as item.pos
+     * @param {number} [options.length] Distance between the centers, defaults to the distance when the joint is added
+     * @param {number} [options.stiffness] Part of the stretch of a spring that is undone every tick, 0 ~ 1, default 0.1
+     * @param {number} [options.damping] Part of the speed along a spring that it takes every tick, 0 ~ 1, default 0.05
+     * @param {number} [options.breakLength] Distance at which the joint breaks, 0 (default) for never
+     */
+    function Joint(options){
+      for (var key in options) this[key] = options[key];
+    }
+    Joint.prototype = {
+      id: '',
+      type: 'rope',
+      a: null,
+      b: null,
+      anchor: null,
+      length: null,
+      stiffness: 0.1,
+      damping: 0.05,
+      breakLength: 0,
+    };
+
+    return Joint;
+
+  })();
+
+  Physics.Joint = Joint;
+
+  var BonsaiRenderer = (function(){
+
+    /**
+     * Debug renderer that draws with bonsai. Drawings fade out
+     * and destroy themselves (requires the fadestroy plugin).
+     *
+     * @constructor
+     * @param {Object} [container] Bonsai display object to draw in. Defaults to the parent of the display object of the item the drawing is about.
+     */
+    function BonsaiRenderer(container){
+      this.container = container || null;
+    }
+    BonsaiRenderer.prototype = {
+      container: null,
+
+      line: function(x1, y1, x2, y2, style){
+        this.add(new bonsai.Path().moveTo(x1, y1).lineTo(x2, y2).stroke(style.color, style.width || 1), style);
+      },
+      dot: function(x, y, radius, style){
+        this.add(new bonsai.Circle(x, y, radius).fill(style.color), style);
+      },
+      arc: function(x, y, radius, startAngle, endAngle, style){
+        this.add(new bonsai.Path().arc(x, y, radius, startAngle, endAngle, false).stroke(style.color, style.width || 1), style);
+      },
+      add: function(shape, style){
+        var container = this.container || (style.item && style.item.bs && style.item.bs.parent);
+        if (!container) return; // nothing to draw on
+
+        shape.addTo(container);
+        if (style.delay) shape.fadestroy(style.duration + 'ms', style.delay + 'ms');
+        else shape.fadestroy(style.duration + 'ms');
+      },
+    };
+
+    return BonsaiRenderer;
+
+  })();
+
+  Physics.BonsaiRenderer = BonsaiRenderer;
+
+  var HeadlessRenderer = (function(){
+
+    /**
+     * Debug renderer that does not draw anything, but collects every
+     * primitive as data. Useful for tests and for running in node.
+     *
+     * @constructor
+     */
+    function HeadlessRenderer(){
+      this.primitives = [];
+    }
+    HeadlessRenderer.prototype = {
+      primitives: null, // list of {type:'line'|'dot'|'arc', ...coordinates, style}
+
+      line: function(x1, y1, x2, y2, style){
+        this.primitives.push({type:'line', x1:x1, y1:y1, x2:x2, y2:y2, style:style});
+      },
+      dot: function(x, y, radius, style){
+        this.primitives.push({type:'dot', x:x, y:y, radius:radius, style:style});
+      },
+      arc: function(x, y, radius, startAngle, endAngle, style){
+        this.primitives.push({type:'arc', x:x, y:y, radius:radius, startAngle:startAngle, endAngle:endAngle, style:style});
+      },
+      /**
+       * Forget all collected primitives
+       */
+      clear: function(){
+        this.primitives.length = 0;
+      },
+    };
+
+    return HeadlessRenderer;
+
+  })();
+
+  Physics.HeadlessRenderer = HeadlessRenderer;
+
+  var Recorder = (function(){
+
+    /**
+     * Records every shot that is pushed on an engine, and all steering (see
+     * Physics#applyForce), so it can be played back later by a Replayer. Items
+     * are identified by their index in physics.items, so the replay must start
+     * with the same items in the same order.
+     *
+     * @constructor
+     * @param {Physics} physics
+     */
+    function Recorder(physics){
+      this.physics = physics;
+      this.shots = [];
+      this.config = physics.getConfig();
+
+      var recorder = this;
+      this.onPush = function(e){
+        recorder.record(e);
+      };
+      this.onSteer = function(e){
+        recorder.recordSteer(e);
+      };
+      physics.on('push', this.onPush);
+      physics.on('steer', this.onSteer);
+    }
+    /**
+     * @property {number} VERSION Version of the recording format. Version 1 has no steering.
+     */
+    Recorder.VERSION = 2;
+    /**
+     * Parse a recording. Throws when the recording is not of a known version.
+     *
+     * @param {string|Object} json
+     * @return {Object} {version:number, config:Object, shots:Object[]}
+     */
+    Recorder.parse = function(json){
+      var recording = typeof json === 'string' ? JSON.parse(json) : json;
+      if (!recording || !(recording.version >= 1 && recording.version <= Recorder.VERSION)) {
+        throw new Error('Unsupported recording version: ' + (recording && recording.version));
       }
+      return recording;
+    };
+    Recorder.prototype = {
+      physics: null,
+      shots: null, // recorded shots and steering, in order
+      config: null, // settings of the engine when recording started
+      onPush: null, // listener for push events of the engine, see record
+      onSteer: null, // listener for steer events of the engine, see recordSteer
 
-      return null;
-    },
-  };
+      /**
+       * Add the shot of a push event to the recording
+       *
+       * @param {Object} e push event
+       */
+      record: function(e){
+        this.shots.push({
+          tick: this.physics.ticks,
+          item: this.physics.items.indexOf(e.item),
+          uid: e.item.uid,
+          course: e.course,
+          speed: e.speed,
+          curve: e.curve,
+          spin: e.spin,
+          x: e.item.pos.x,
+          y: e.item.pos.y
+        });
+      },
+      /**
+       * Add the steering of a steer event to the recording. It is told
+       * apart from a shot by its method.
+       *
+       * @param {Object} e steer event
+       */
+      recordSteer: function(e){
+        this.shots.push({
+          tick: this.physics.ticks,
+          item: this.physics.items.indexOf(e.item),
+          uid: e.item.uid,
+          method: e.method,
+          args: [e.x, e.y]
+        });
+      },
+      /**
+       * Stop recording
+       */
+      stop: function(){
+        if (this.physics) {
+          this.physics.off('push', this.onPush);
+          this.physics.off('steer', this.onSteer);
+        }
+        this.physics = null;
+      },
+      /**
+       * @return {Object} The recording, in the versioned format
+       */
+      toJSON: function(){
+        return {
+          version: Recorder.VERSION,
+          config: this.config,
+          shots: this.shots.slice(0)
+        };
+      },
+      /**
+       * @return {string} The recording as JSON string
+       */
+      serialize: function(){
+        return JSON.stringify(this.toJSON());
+      },
+    };
 
-  var Item = (function(){
+    return Recorder;
+
+  })();
+
+  Physics.Recorder = Recorder;
+
+  var Replayer = (function(){
 
     /**
-     * Abstract interface class for the physics engine.
-     * Defines some properties used by the engine.
+     * Plays back a recording of a Recorder on a fresh engine. Call tick
+     * on the replayer instead of on the engine; it pushes every shot and
+     * steers every item on the tick it was recorded. Every replayer tick is exactly one step,
+     * regardless of config.timestep.
      *
      * @constructor
-     * @param {Object} bs The bonsai object that represents this circle
-     * @param x
-     * @param y
-     * @param radius
-     * @param power
+     * @param {Physics} physics Engine with the same items, in the same order, as when recording started
+     * @param {string|Object} recording
      */
-    function Item(bs,x,y, radius,power){
-      this.bs = bs;
-      this.pos = {x:x,y:y};
-      this.radius = radius;
-      this.power = power;
-      this.cache = {};
+    function Replayer(physics, recording){
+      this.physics = physics;
+      this.recording = Recorder.parse(recording);
+      this.next = 0;
+
+      physics.setConfig(this.recording.config);
     }
-    Item.prototype = {
-      // the shot* variables are only used while the stone has not collided yet
-      // in code, all the shot variables are ignored when shotCurve === false
+    Replayer.prototype = {
+      physics: null,
+      recording: null,
+      next: 0, // index of the next shot to play
 
-      bs: null, // bonsai element
-      cache: null, // computational cache
+      /**
+       * Play the shots and steering of the current tick and process one tick.
+       *
+       * @return {boolean} Is there anything still moving, or are there shots left to play?
+       */
+      tick: function(){
+        var shots = this.recording.shots;
+        var physics = this.physics;
 
-      shotCourse: 0, // straight course in which this stone was released
-      shotCurve: false, // -1 ~ 1, shot curve modifier
-      shotOriginX: 0,
-      shotOriginY: 0,
-      shotDistance: 0, // distance of current shot if not colliding
-      shotTraveled: 0, // distance traveled in current shot
+        while (this.next < shots.length && shots[this.next].tick <= physics.ticks) {
+          var shot = shots[this.next++];
+          var item = physics.items[shot.item];
+          if (!item) {
+            console.warn('Replayed shot for an item that does not exist', shot);
+            continue;
+          }
+          if (shot.method) {
+            if (WorkerHost.STEERING.indexOf(shot.method) < 0) console.warn('Replayed steering with an unknown method', shot);
+            else physics[shot.method](item, shot.args[0], shot.args[1]);
+            continue;
+          }
+          if (item.pos.x !== shot.x || item.pos.y !== shot.y) item.setPos(shot.x, shot.y);
+          physics.push(item, shot.course, shot.speed, shot.curve, shot.spin);
+        }
 
-      pos: null, // {x,y}
-      speed: 0,
-      course: 0, // in which direction are we moving?
-      radius: 0,
-      bearing: 0, // current direction of the top of the stone. the stone's rotation affects this value.
-      rotation: 0, // amount of spin per tick, subject to the item's friction (or something)
-      disabled: false, // cant be used
-      ghost: false, // ignored in collision detection system
-      unused: -1, // amount of movement left in current step
-      friction: 0.9, // slowdown factor
+        return physics.step() || !this.done();
+      },
+      /**
+       * @return {boolean} Were all shots played?
+       */
+      done: function(){
+        return this.next >= this.recording.shots.length;
+      },
+    };
 
-      setPos: function(x,y){
-        this.pos.x = x;
-        this.pos.y = y;
+    return Replayer;
 
-        for (var key in this.cache) delete this.cache[key];
-      }, // updates this.pos
+  })();
+
+  Physics.Replayer = Replayer;
+
+  var WorkerHost = (function(){
+
+    /**
+     * Runs an engine in a web worker, so ticking does not hold up the main
+     * thread. The main thread talks to it through a WorkerProxy. The worker
+     * script only needs:
+     *
+     *   importScripts('physics.js');
+     *   var host = new Physics.WorkerHost(self);
+     *
+     * Items, zones, surfaces, force fields, obstacles and joints can not be sent as
+     * they are. In messages, an item is replaced by {uid}. The others are sent as
+     * their options once and then referred to by a key the main thread picks, a
+     * zone or joint in an event is {id, key}.
+     *
+     * Messages to the worker:
+     * - {type:'addItem', item}: item as returned by Item#toJSON (keeping its uid)
+     * - {type:'removeItem', uid}
+     * - {type:'push', uid, course, speed, curve, spin}: see Physics#push
+     * - {type:'steer', uid, method, x, y}: method is 'applyForce', 'applyImpulse' or 'setVelocity', see Physics#applyForce
+     * - {type:'setPath', uid, points, speed, loop}: see Physics#setPath
+     * - {type:'add', kind, key, options}: kind is one of WorkerHost.KINDS, see Physics#addZone and friends
+     * - {type:'remove', kind, key}
+     * - {type:'configure', config, bounds}: both optional, see Physics#setConfig and Physics#setBounds
+     * - {type:'restore', state}: see Physics#restore
+     * - {type:'call', id, method, args}: method is one of WorkerHost.CALLS
+     * - {type:'tick', elapsed}: see Physics#tick
+     * Messages from the worker:
+     * - {type:'state', ticks, moving, lastTick, alpha, buffer, uids, log}, after every tick.
+     *   buffer is a Float64Array with WorkerHost.STRIDE numbers for every item:
+     *   x, y, speed, course, bearing, rotation, disabled (1 or 0) and the x, y and
+     *   bearing before the last step (see Physics#getInterpolatedPos). uids lists
+     *   the items in the same order, it is only sent when the items changed. log
+     *   is the list of {name, event} that were emitted since the last state (see
+     *   WorkerHost.EVENTS). A push or steering the engine refused is not in it.
+     * - {type:'result', id, result}: what the method of a call returned
+     *
+     * @constructor
+     * @param {Object} scope The global scope of the worker, or anything with postMessage and onmessage
+     * @param {Physics} [physics] The engine to run, a new one by default. Zones, surfaces and such can be set up on it directly.
+     */
+    function WorkerHost(scope, physics){
+      this.scope = scope;
+      this.physics = physics || new Physics();
+      this.log = [];
+      this.shared = {};
+
+      var host = this;
+      scope.onmessage = function(e){
+        host.onMessage(e.data);
+      };
+      WorkerHost.EVENTS.forEach(function(name){
+        this.physics.on(name, function(event){
+          host.onEvent(name, event);
+        });
+      },this);
+    }
+    /**
+     * @property {number} STRIDE Numbers per item in the state buffer
+     */
+    WorkerHost.STRIDE = 10;
+    /**
+     * @property {string[]} EVENTS Events of the engine that are passed on to the main thread
+     */
+    WorkerHost.EVENTS = [
+      'collision', 'wallCollision', 'obstacleCollision', 'itemStopped', 'worldAtRest', 'itemRemoved', 'push', 'steer',
+      'zoneEnter', 'zoneLeave', 'zoneSettle', 'zoneCapture', 'overlap', 'jointBroken'
+    ];
+    /**
+     * @property {string[]} STEERING Methods of the engine a 'steer' message may call
+     */
+    WorkerHost.STEERING = ['applyForce', 'applyImpulse', 'setVelocity'];
+    /**
+     * @property {string[]} CALLS Methods of the engine a 'call' message may call
+     */
+    WorkerHost.CALLS = ['predict', 'solveShot', 'snapshot', 'stateHash'];
+    /**
+     * @property {string[]} KINDS What an 'add' message may add, Physics#addZone for 'Zone' and so on
+     */
+    WorkerHost.KINDS = ['Zone', 'Surface', 'ForceField', 'Obstacle', 'Joint'];
+    WorkerHost.prototype = {
+      scope: null,
+      physics: null,
+      log: null, // events since the last state
+      shared: null, // zones, surfaces and such that the main thread added, by key
+      uids: '', // items of the last state that was sent
+
+      /**
+       * Handle a message from the main thread
+       *
+       * @param {Object} message
+       */
+      onMessage: function(message){
+        var physics = this.physics;
+        var item;
+
+        if (message.type === 'addItem') {
+          item = Item.fromJSON(message.item);
+          physics.addItem(item);
+        } else if (message.type === 'removeItem') {
+          item = this.getItem(message.uid);
+          if (item) physics.removeItem(item);
+        } else if (message.type === 'push') {
+          item = this.getItem(message.uid);
+          if (item) physics.push(item, message.course, message.speed, message.curve, message.spin);
+        } else if (message.type === 'steer' && WorkerHost.STEERING.indexOf(message.method) >= 0) {
+          item = this.getItem(message.uid);
+          if (item) physics[message.method](item, message.x, message.y);
+        } else if (message.type === 'setPath') {
+          item = this.getItem(message.uid);
+          if (item) physics.setPath(item, message.points, message.speed, message.loop);
+        } else if (message.type === 'add' && WorkerHost.KINDS.indexOf(message.kind) >= 0) {
+          var object = new Physics[message.kind](this.decode(message.options));
+          this.shared[message.key] = object;
+          physics['add' + message.kind](object);
+        } else if (message.type === 'remove' && this.shared[message.key]) {
+          physics['remove' + message.kind](this.shared[message.key]);
+          delete this.shared[message.key];
+        } else if (message.type === 'configure') {
+          if (message.config) physics.setConfig(message.config);
+          if ('bounds' in message) physics.setBounds(message.bounds);
+        } else if (message.type === 'restore') {
+          physics.restore(message.state);
+          // the main thread rebuilt its items, it needs the order again
+          this.uids = '';
+        } else if (message.type === 'call' && WorkerHost.CALLS.indexOf(message.method) >= 0) {
+          var result = physics[message.method].apply(physics, this.decode(message.args));
+          this.scope.postMessage({type: 'result', id: message.id, result: this.encode(result)});
+        } else if (message.type === 'tick') {
+          this.tick(message.elapsed);
+        } else {
+          console.warn('Unknown message for the physics worker', message);
+        }
+      },
+      /**
+       * @param {string} uid
+       * @return {Item} The item with this uid, or null
+       */
+      getItem: function(uid){
+        var items = this.physics.items;
+        for (var i=0; i<items.length; ++i) {
+          if (items[i].uid === uid) return items[i];
+        }
+        console.warn('The physics worker does not know this item', uid);
+        return null;
+      },
+      /**
+       * Tick the engine and send the new state to the main thread
+       *
+       * @param {number} [elapsed]
+       */
+      tick: function(elapsed){
+        var physics = this.physics;
+        var moving = physics.tick(elapsed);
+
+        var stride = WorkerHost.STRIDE;
+        var buffer = new Float64Array(physics.items.length * stride);
+        physics.items.forEach(function(item, i){
+          var prev = item.prevPos || item.pos;
+          buffer[i*stride] = item.pos.x;
+          buffer[i*stride+1] = item.pos.y;
+          buffer[i*stride+2] = item.speed;
+          buffer[i*stride+3] = item.course;
+          buffer[i*stride+4] = item.bearing;
+          buffer[i*stride+5] = item.rotation;
+          buffer[i*stride+6] = item.disabled ? 1 : 0;
+          buffer[i*stride+7] = prev.x;
+          buffer[i*stride+8] = prev.y;
+          buffer[i*stride+9] = item.prevPos ? item.prevBearing : item.bearing;
+        });
+
+        var message = {type: 'state', ticks: physics.ticks, moving: moving, lastTick: physics.lastTick, alpha: physics.alpha, buffer: buffer, log: this.log};
+        var uids = physics.items.map(function(item){ return item.uid; });
+        if (uids.join(',') !== this.uids) {
+          message.uids = uids;
+          this.uids = uids.join(',');
+        }
+        this.log = [];
+
+        // hand over the buffer instead of copying it
+        this.scope.postMessage(message, [buffer.buffer]);
+      },
+      /**
+       * Keep an event of the engine for the next state
+       *
+       * @param {string} name
+       * @param {Object} event
+       */
+      onEvent: function(name, event){
+        this.log.push({name: name, event: this.encode(event)});
+      },
+      /**
+       * Make a value fit for a message: items become {uid}, zones and joints
+       * {id, key}, and whatever else the main thread added its key.
+       *
+       * @param {*} value
+       * @return {*}
+       */
+      encode: function(value){
+        if (value instanceof Item) return {uid: value.uid};
+        if (!value || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(this.encode, this);
+
+        var key;
+        if (WorkerHost.KINDS.some(function(kind){ return value instanceof Physics[kind]; })) {
+          var found = null;
+          for (key in this.shared) {
+            if (this.shared[key] === value) found = key;
+          }
+          return value instanceof Zone || value instanceof Joint ? {id: value.id, key: found} : {key: found};
+        }
+
+        var data = {};
+        for (key in value) data[key] = this.encode(value[key]);
+        return data;
+      },
+      /**
+       * Turn the {uid} of an item in a message back into the item
+       *
+       * @param {*} value
+       * @return {*}
+       */
+      decode: function(value){
+        if (!value || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(this.decode, this);
 
+        var keys = Object.keys(value);
+        if (keys.length === 1 && keys[0] === 'uid') return this.getItem(value.uid);
+
+        var data = {};
+        keys.forEach(function(key){
+          data[key] = this.decode(value[key]);
+        },this);
+        return data;
+      },
     };
 
-    return Item;
+    return WorkerHost;
 
   })();
 
-  Physics.Item = Item;
+  Physics.WorkerHost = WorkerHost;
+
+  var WorkerProxy = (function(){
+
+    /**
+     * Stand-in for an engine that runs in a web worker (see WorkerHost). Items,
+     * settings, bounds, zones, surfaces, force fields, obstacles and joints are
+     * added, removed and changed the same way as on Physics, and so are items
+     * pushed, steered and sent along a path. The queries (queryPoint and friends)
+     * and getInterpolatedPos work on the last known state.
+     * tick only asks the worker to tick. The items are updated when the new state
+     * comes back, after which the events since the last state and a sync event are
+     * emitted. So push and steer events only come once the worker took them.
+     * tick returns whether anything was still moving at the last known state.
+     * predict, solveShot, snapshot and stateHash need the worker to answer, they
+     * take a callback as their last argument instead of returning the result.
+     * The items and settled items of a zone are not kept up to date on this side,
+     * listen to the zone events instead.
+     *
+     * @constructor
+     * @param {Object} worker A Worker, or anything with postMessage and onmessage
+     * @param {Object} [options] Settings overriding the defaults (see setConfig), bounds may be passed on as well (see setBounds)
+     */
+    function WorkerProxy(worker, options){
+      this.worker = worker;
+      this.items = [];
+      this.order = [];
+      this.listeners = {};
+      this.config = {};
+      for (var key in defaults) this.config[key] = defaults[key];
+      this.zones = [];
+      this.surfaces = [];
+      this.forceFields = [];
+      this.obstacles = [];
+      this.joints = [];
+      this.shared = {};
+      this.calls = {};
+
+      var proxy = this;
+      worker.onmessage = function(e){
+        proxy.onMessage(e.data);
+      };
+
+      if (options) {
+        for (key in options) {
+          if (key === 'bounds') this.setBounds(options.bounds);
+          else this.setConfig(key, options[key]);
+        }
+      }
+    }
+    WorkerProxy.prototype = {
+      worker: null,
+      items: null,
+      order: null, // items in the order of the state buffer
+      listeners: null,
+      config: null,
+      bounds: null,
+      atRest: true,
+      ticks: 0,
+      lastTick: null,
+      alpha: 1, // see Physics#alpha
+      zones: null,
+      surfaces: null,
+      forceFields: null,
+      obstacles: null,
+      joints: null,
+      shared: null, // zones, surfaces and such that were sent to the worker, by key
+      sharedCount: 0,
+      calls: null, // callbacks of calls the worker did not answer yet, by id
+      callCount: 0,
+
+      on: Physics.prototype.on,
+      off: Physics.prototype.off,
+      once: Physics.prototype.once,
+      emit: Physics.prototype.emit,
+      getConfig: Physics.prototype.getConfig,
+      getInterpolatedPos: Physics.prototype.getInterpolatedPos,
+
+      queryPoint: Physics.prototype.queryPoint,
+      queryCircle: Physics.prototype.queryCircle,
+      queryRect: Physics.prototype.queryRect,
+      nearest: Physics.prototype.nearest,
+      getItemsByDistance: Physics.prototype.getItemsByDistance,
+      raycast: Physics.prototype.raycast,
+      castCircle: Physics.prototype.castCircle,
+      getSweptRoots: Physics.prototype.getSweptRoots,
+      abcSquare: Physics.prototype.abcSquare,
+
+      /**
+       * See Physics#setConfig
+       *
+       * @param {string|Object} key
+       * @param {*} [value]
+       */
+      setConfig: function(key, value){
+        var settings = {};
+        if (typeof key === 'object') settings = key;
+        else settings[key] = value;
+
+        var changed = {};
+        for (var name in settings) {
+          Physics.prototype.setConfig.call(this, name, settings[name]);
+          if (name in defaults) changed[name] = settings[name];
+        }
+        this.worker.postMessage({type: 'configure', config: changed});
+      },
+      /**
+       * See Physics#setBounds
+       *
+       * @param {Object} bounds
+       */
+      setBounds: function(bounds){
+        Physics.prototype.setBounds.call(this, bounds);
+        this.worker.postMessage({type: 'configure', bounds: this.bounds});
+      },
+      /**
+       * See Physics#addItem
+       *
+       * @param {Item} item
+       */
+      addItem: function(item){
+        if (this.items.indexOf(item) >= 0) {
+          console.warn('Item already found!', item);
+        } else if (this.items.some(function(other){ return other.uid === item.uid; })) {
+          console.warn('Item with the same uid already found!', item);
+        } else {
+          this.items.push(item);
+          this.worker.postMessage({type: 'addItem', item: item.toJSON()});
+          this.emit('itemAdded', {item: item});
+        }
+      },
+      /**
+       * See Physics#removeItem
+       *
+       * @param {Item} item
+       */
+      removeItem: function(item){
+        var pos = this.items.indexOf(item);
+        if (pos < 0) {
+          console.warn("Tried to remove an item that was not found", item);
+        } else {
+          this.items.splice(pos, 1);
+          this.forget(item);
+          this.worker.postMessage({type: 'removeItem', uid: item.uid});
+          this.emit('itemRemoved', {item: item});
+        }
+      },
+      /**
+       * Let go of the joints of an item that left the world, like the worker does
+       *
+       * @param {Item} item
+       */
+      forget: function(item){
+        this.joints.filter(function(joint){
+          return joint.a === item || joint.b === item;
+        }).forEach(this.drop, this);
+      },
+      /**
+       * See Physics#push
+       *
+       * @param {Item} item
+       * @param {number} course (radians)
+       * @param {number} speed
+       * @param {number} curve (-1 ~ 1)
+       * @param {number} [spin]
+       */
+      push: function(item, course, speed, curve, spin){
+        if (this.items.indexOf(item) < 0) console.warn('Physics engine tried to push an item that it did not know about...');
+        this.worker.postMessage({type: 'push', uid: item.uid, course: course, speed: speed, curve: curve, spin: spin});
+        this.atRest = false;
+      },
+      /**
+       * See Physics#applyForce
+       *
+       * @param {Item} item
+       * @param {number} fx
+       * @param {number} fy
+       */
+      applyForce: function(item, fx, fy){
+        this.steer(item, 'applyForce', fx, fy);
+      },
+      /**
+       * See Physics#applyImpulse
+       *
+       * @param {Item} item
+       * @param {number} ix
+       * @param {number} iy
+       */
+      applyImpulse: function(item, ix, iy){
+        this.steer(item, 'applyImpulse', ix, iy);
+      },
+      /**
+       * See Physics#setVelocity
+       *
+       * @param {Item} item
+       * @param {number|null} vx
+       * @param {number} [vy]
+       */
+      setVelocity: function(item, vx, vy){
+        this.steer(item, 'setVelocity', vx, vy);
+      },
+      /**
+       * @param {Item} item
+       * @param {string} method One of WorkerHost.STEERING
+       * @param {number} x
+       * @param {number} y
+       */
+      steer: function(item, method, x, y){
+        if (this.items.indexOf(item) < 0) console.warn('Physics engine tried to steer an item that it did not know about...');
+        this.worker.postMessage({type: 'steer', uid: item.uid, method: method, x: x, y: y});
+        this.atRest = false;
+      },
+      /**
+       * See Physics#setPath
+       *
+       * @param {Item} item
+       * @param {Object[]} points
+       * @param {number} speed
+       * @param {boolean} [loop]
+       */
+      setPath: function(item, points, speed, loop){
+        this.worker.postMessage({type: 'setPath', uid: item.uid, points: points, speed: speed, loop: !!loop});
+        if (points && points.length) this.atRest = false;
+      },
+      /**
+       * See Physics#addZone
+       *
+       * @param {Zone} zone
+       * @return {Zone} zone
+       */
+      addZone: function(zone){
+        return this.share('Zone', zone);
+      },
+      /**
+       * See Physics#removeZone
+       *
+       * @param {Zone} zone
+       */
+      removeZone: function(zone){
+        this.unshare(zone);
+      },
+      /**
+       * See Physics#addSurface
+       *
+       * @param {Surface} surface
+       * @return {Surface} surface
+       */
+      addSurface: function(surface){
+        return this.share('Surface', surface);
+      },
+      /**
+       * See Physics#removeSurface
+       *
+       * @param {Surface} surface
+       */
+      removeSurface: function(surface){
+        this.unshare(surface);
+      },
+      /**
+       * See Physics#addForceField
+       *
+       * @param {ForceField} field
+       * @return {ForceField} field
+       */
+      addForceField: function(field){
+        return this.share('ForceField', field);
+      },
+      /**
+       * See Physics#removeForceField
+       *
+       * @param {ForceField} field
+       */
+      removeForceField: function(field){
+        this.unshare(field);
+      },
+      /**
+       * See Physics#addObstacle
+       *
+       * @param {Obstacle} obstacle
+       * @return {Obstacle} obstacle
+       */
+      addObstacle: function(obstacle){
+        return this.share('Obstacle', obstacle);
+      },
+      /**
+       * See Physics#removeObstacle
+       *
+       * @param {Obstacle} obstacle
+       */
+      removeObstacle: function(obstacle){
+        this.unshare(obstacle);
+      },
+      /**
+       * See Physics#addJoint. The length of a joint without one is only
+       * known in the worker.
+       *
+       * @param {Joint} joint
+       * @return {Joint} joint
+       */
+      addJoint: function(joint){
+        return this.share('Joint', joint);
+      },
+      /**
+       * See Physics#removeJoint
+       *
+       * @param {Joint} joint
+       */
+      removeJoint: function(joint){
+        this.unshare(joint);
+      },
+      /**
+       * Add a zone, surface, force field, obstacle or joint here and in the worker
+       *
+       * @param {string} kind One of WorkerHost.KINDS
+       * @param {Object} object
+       * @return {Object} object
+       */
+      share: function(kind, object){
+        var list = this.getList(object);
+        if (list.indexOf(object) >= 0) {
+          console.warn(kind + ' already found!', object);
+          return object;
+        }
+
+        var key = 's_' + (++this.sharedCount);
+        var options = {};
+        for (var name in object) {
+          // what a zone found is up to the worker
+          if (object.hasOwnProperty(name) && name !== 'items' && name !== 'settled') options[name] = this.encode(object[name]);
+        }
+
+        list.push(object);
+        this.shared[key] = object;
+        this.worker.postMessage({type: 'add', kind: kind, key: key, options: options});
+        return object;
+      },
+      /**
+       * Remove a zone, surface, force field, obstacle or joint here and in the worker
+       *
+       * @param {Object} object
+       */
+      unshare: function(object){
+        var key = this.getKey(object);
+        if (key === null) {
+          console.warn("Tried to remove something that was not found", object);
+          return;
+        }
+
+        this.drop(object);
+        var kind = WorkerHost.KINDS.filter(function(kind){ return object instanceof Physics[kind]; })[0];
+        this.worker.postMessage({type: 'remove', kind: kind, key: key});
+      },
+      /**
+       * Remove a zone, surface, force field, obstacle or joint on this side
+       * only, the worker already let go of it
+       *
+       * @param {Object} object
+       */
+      drop: function(object){
+        var list = this.getList(object);
+        list.splice(list.indexOf(object), 1);
+        delete this.shared[this.getKey(object)];
+      },
+      /**
+       * @param {Object} object A zone, surface, force field, obstacle or joint
+       * @return {Object[]} The list of this kind of object, like this.zones
+       */
+      getList: function(object){
+        if (object instanceof Zone) return this.zones;
+        if (object instanceof Surface) return this.surfaces;
+        if (object instanceof ForceField) return this.forceFields;
+        if (object instanceof Obstacle) return this.obstacles;
+        if (object instanceof Joint) return this.joints;
+        return null;
+      },
+      /**
+       * @param {Object} object
+       * @return {string} The key object was sent to the worker with, or null
+       */
+      getKey: function(object){
+        for (var key in this.shared) {
+          if (this.shared[key] === object) return key;
+        }
+        return null;
+      },
+      /**
+       * See Physics#predict. The result is passed on to callback.
+       *
+       * @param {Item} item
+       * @param {number} course
+       * @param {number} speed
+       * @param {number} curve
+       * @param {Object} [options]
+       * @param {Function} callback
+       */
+      predict: function(item, course, speed, curve, options, callback){
+        if (typeof options === 'function') {
+          callback = options;
+          options = undefined;
+        }
+        this.call('predict', [item, course, speed, curve, options], callback);
+      },
+      /**
+       * See Physics#solveShot. The result is passed on to callback.
+       *
+       * @param {Item} item
+       * @param {Object} target
+       * @param {Object} [options]
+       * @param {Function} callback
+       */
+      solveShot: function(item, target, options, callback){
+        if (typeof options === 'function') {
+          callback = options;
+          options = undefined;
+        }
+        this.call('solveShot', [item, target, options], callback);
+      },
+      /**
+       * See Physics#snapshot. The snapshot is passed on to callback.
+       *
+       * @param {Function} callback
+       */
+      snapshot: function(callback){
+        this.call('snapshot', [], callback);
+      },
+      /**
+       * See Physics#stateHash. The hash is passed on to callback.
+       *
+       * @param {Item} [item]
+       * @param {Function} callback
+       */
+      stateHash: function(item, callback){
+        if (typeof item === 'function') {
+          callback = item;
+          item = undefined;
+        }
+        this.call('stateHash', item ? [item] : [], callback);
+      },
+      /**
+       * Call a method of the engine in the worker
+       *
+       * @param {string} method One of WorkerHost.CALLS
+       * @param {Array} args
+       * @param {Function} callback Called with the result
+       */
+      call: function(method, args, callback){
+        var id = ++this.callCount;
+        this.calls[id] = callback;
+        this.worker.postMessage({type: 'call', id: id, method: method, args: this.encode(args)});
+      },
+      /**
+       * See Physics#restore. The worker is restored along with this side.
+       *
+       * @param {Object} state As returned by snapshot
+       * @param {Function} [rebind]
+       */
+      restore: function(state, rebind){
+        Physics.prototype.restore.call(this, state, rebind);
+        this.worker.postMessage({type: 'restore', state: state});
+      },
+      /**
+       * Ask the worker to tick, see Physics#tick
+       *
+       * @param {number} [elapsed] ms since the last tick
+       * @return {boolean} Was there any stone still moving at the last known state?
+       */
+      tick: function(elapsed){
+        this.worker.postMessage({type: 'tick', elapsed: elapsed});
+        return !this.atRest;
+      },
+      /**
+       * Ask the worker to process one step, see Physics#step
+       *
+       * @return {boolean} Was there any stone still moving at the last known state?
+       */
+      step: function(){
+        return this.tick();
+      },
+      /**
+       * Stop the worker and release anything this object retains
+       */
+      destroy: function(){
+        this.worker.onmessage = null;
+        if (this.worker.terminate) this.worker.terminate();
+        this.worker = null;
+        this.items.length = 0;
+        this.items = null;
+        this.shared = null;
+        this.calls = null;
+      },
+      /**
+       * Handle a message from the worker
+       *
+       * @param {Object} message
+       */
+      onMessage: function(message){
+        if (message.type === 'state') {
+          this.sync(message);
+        } else if (message.type === 'result' && this.calls[message.id]) {
+          var callback = this.calls[message.id];
+          delete this.calls[message.id];
+          callback(this.decode(message.result));
+        } else {
+          console.warn('Unknown message from the physics worker', message);
+        }
+      },
+      /**
+       * Make a value fit for a message, items become {uid}
+       *
+       * @param {*} value
+       * @return {*}
+       */
+      encode: function(value){
+        if (value instanceof Item) return {uid: value.uid};
+        if (!value || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(this.encode, this);
+
+        var data = {};
+        for (var key in value) data[key] = this.encode(value[key]);
+        return data;
+      },
+      /**
+       * Turn the {uid} of an item and the {key} of a zone and such in a message
+       * from the worker back into the item and the zone. Items that were removed
+       * on this side become null, zones and joints that were set up in the worker
+       * stay {id}.
+       *
+       * @param {*} value
+       * @return {*}
+       */
+      decode: function(value){
+        if (!value || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(this.decode, this);
+
+        var keys = Object.keys(value);
+        if (keys.length === 1 && keys[0] === 'uid') {
+          for (var i=0; i<this.items.length; ++i) {
+            if (this.items[i].uid === value.uid) return this.items[i];
+          }
+          return null;
+        }
+        if ('key' in value && (keys.length === 1 || (keys.length === 2 && 'id' in value))) {
+          if (this.shared[value.key]) return this.shared[value.key];
+          return keys.length === 2 ? {id: value.id} : null;
+        }
+
+        var data = {};
+        keys.forEach(function(key){
+          data[key] = this.decode(value[key]);
+        },this);
+        return data;
+      },
+      /**
+       * Update the items to a state sent by the worker, then emit the events since the last state.
+       *
+       * @param {Object} state See WorkerHost
+       */
+      sync: function(state){
+        var byUid = {};
+        this.items.forEach(function(item){
+          byUid[item.uid] = item;
+        });
+
+        if (state.uids) {
+          this.order = state.uids.map(function(uid){
+            return byUid[uid] || null;
+          });
+        }
+
+        var stride = WorkerHost.STRIDE;
+        var buffer = state.buffer;
+        this.order.forEach(function(item, i){
+          // removed on this side in the meantime
+          if (!item || !byUid[item.uid]) return;
+          item.setPos(buffer[i*stride], buffer[i*stride+1]);
+          item.speed = buffer[i*stride+2];
+          item.course = buffer[i*stride+3];
+          item.bearing = buffer[i*stride+4];
+          item.rotation = buffer[i*stride+5];
+          item.disabled = buffer[i*stride+6] === 1;
+          item.prevPos = {x: buffer[i*stride+7], y: buffer[i*stride+8]};
+          item.prevBearing = buffer[i*stride+9];
+        });
+
+        this.ticks = state.ticks;
+        this.atRest = !state.moving;
+        this.lastTick = state.lastTick;
+        this.alpha = state.alpha;
+
+        state.log.forEach(function(entry){
+          var event = this.decode(entry.event);
+
+          if (entry.name === 'itemRemoved') {
+            // removed on this side already
+            var pos = this.items.indexOf(event.item);
+            if (pos < 0) return;
+            // the worker captured it
+            this.items.splice(pos, 1);
+            this.forget(event.item);
+          } else if (entry.name === 'jointBroken' && this.joints.indexOf(event.joint) >= 0) {
+            this.drop(event.joint);
+          } else if ((entry.name === 'push' || entry.name === 'steer') && !event.item) {
+            return;
+          }
+
+          this.emit(entry.name, event);
+        },this);
+
+        this.emit('sync', {ticks: this.ticks, atRest: this.atRest});
+      },
+    };
+
+    return WorkerProxy;
+
+  })();
+
+  Physics.WorkerProxy = WorkerProxy;
 
   return Physics;
 })();
+
+// in a browser or worker Physics is a global, with a module loader it is exported as well
+if (typeof module === 'object' && module.exports) module.exports = Physics;
+else if (typeof define === 'function' && define.amd) define(function(){ return Physics; });